@@ -1,6 +1,8 @@
 import SortedMap from './SortedMap';
 import eventBus from 'modapp-eventbus';
 import { obj } from 'modapp-utils';
+import { toArray, patchDiff } from './utils';
+import { observed } from './autorun';
 
 /**
  * Collection is a generic data collection.
@@ -12,7 +14,7 @@ class Collection {
 	 * Creates a Collection instance
 	 * @param {object} [opt] Optional settings.
 	 * @param {Array.<object>} [opt.data] Collection data array.
-	 * @param {function} [opt.compare] Compare function for sort order. Defaults to insert order.
+	 * @param {function} [opt.compare] Compare function for sort order. Defaults to insert order. Items comparing equal are kept in the order they were added. Items implementing the Model interface are listened to for changes to keep them in sort order.
 	 * @param {function} [opt.modelFactory] Model factory function. Defaults to using added objects as is.
 	 * @param {function} [opt.idAttribute] Id attribute callback function. Defaults to returning the object.id property.
 	 * @param {string} [opt.namespace] Event bus namespace. Defaults to 'collection'.
@@ -28,10 +30,21 @@ class Collection {
 			eventBus: { type: 'object', default: eventBus }
 		});
 
+		this._compare = opt.compare;
 		this._modelFactory = opt.modelFactory;
 		this._idAttribute = opt.idAttribute;
 		this._namespace = opt.namespace;
 		this._eventBus = opt.eventBus;
+		this._listen = !!(opt.compare && opt.idAttribute);
+
+		// Items placed while the sort order of other items may be stale
+		this._placed = null;
+		this._placedTimeout = null;
+
+		// Bind callbacks
+		if (this._listen) {
+			this._onItemChange = this._onItemChange.bind(this);
+		}
 
 		this._map = opt.idAttribute ? new SortedMap(opt.compare) : [];
 
@@ -77,6 +90,30 @@ class Collection {
 		return this._addItem(item, true, idx);
 	}
 
+	/**
+	 * Update an existing item with the same id by calling its set method, or
+	 * add the item if no item with that id exists. If the collection has a
+	 * compare function, an updated item is moved to its new sorted position,
+	 * triggering a move event, once the set is done.
+	 * @param {*} item Item to update or add.
+	 * @param {number} [idx] Index value of where to insert a new item. Ignored if the collection has a compare function.
+	 * @returns {Promise.<number>} Promise to the index value of the updated or inserted item. Rejects if the set of an existing item fails, such as with a ValidationError.
+	 */
+	upsert(item, idx) {
+		if (!this._idAttribute) {
+			throw new Error("No id attribute set.");
+		}
+		let m = this._map.get(this._itemKey(item));
+		if (!m) {
+			return Promise.resolve(this._addItem(item, true, idx));
+		}
+		if (typeof m.set != 'function') {
+			throw new Error("No set method on existing item.");
+		}
+
+		return Promise.resolve(m.set(item)).then(() => this._reposition(m));
+	}
+
 	/**
 	 * Remove an item from the collection.
 	 * @param {string} id Id of the item.
@@ -89,10 +126,11 @@ class Collection {
 		let item = this.get(id);
 		if (!item) return -1;
 
-		let idx = this._map.remove(id);
+		let idx = this._map.remove(String(id));
 
 		// Emit event if an item was removed
 		if (idx >= 0) {
+			this._listenItem(item, false);
 			this._eventBus.emit(this, this._namespace + '.remove', { item: item, idx: idx });
 		}
 
@@ -109,41 +147,107 @@ class Collection {
 			throw new Error("Index out of bounds.");
 		}
 
-		let item = this._map[idx];
+		let item = this.atIndex(idx);
 		if (this._idAttribute) {
-			this._map.remove(this._idAttribute(item));
+			this._map.remove(this._itemKey(item));
 		} else {
 			this._map.splice(idx, 1);
 		}
+		this._listenItem(item, false);
 
 		this._eventBus.emit(this, this._namespace + '.remove', { item: item, idx: idx });
 
 		return item;
 	}
 
+	/**
+	 * Resets the collection to contain the given items. Items with an id
+	 * already in the collection will keep their existing instance, updated
+	 * with the new values by calling its set method if it has one. Only the
+	 * add and remove events needed to get from the current list to the new
+	 * list are emitted.
+	 * @param {?Array.<object>} items Items to reset the collection to.
+	 * @returns {Promise} Promise to the update of the kept items. Rejects if the set of any kept item fails.
+	 */
+	reset(items) {
+		let oldList = this._map.slice();
+		let newList = [];
+		let sets = [];
+		let ids = this._idAttribute ? new Set() : null;
+		for (let item of toArray(items)) {
+			if (ids) {
+				let id = this._itemKey(item);
+				if (ids.has(id)) {
+					continue;
+				}
+				ids.add(id);
+				let m = this._map.get(id);
+				if (m) {
+					if (m !== item && typeof m.set == 'function') {
+						sets.push(m.set(item));
+					}
+					newList.push(m);
+					continue;
+				}
+			}
+			newList.push(this._modelFactory ? this._modelFactory(item) : item);
+		}
+
+		if (this._compare) {
+			// Sort items comparing equal in the same order as the map does,
+			// with existing items in their current order before new items.
+			let order = new Map(newList.map((item, i) => [ item, oldList.length + i ]));
+			oldList.forEach((item, i) => order.set(item, i));
+			newList.sort((a, b) => this._compare(a, b) || order.get(a) - order.get(b));
+		}
+
+		patchDiff(oldList, newList,
+			(item, n, idx) => this._insertItem(item, true, idx),
+			(item, m, idx) => ids
+				? this.remove(this._idAttribute(item))
+				: this.removeAtIndex(idx)
+		);
+
+		return Promise.all(sets).then(() => undefined);
+	}
+
 	/**
 	 * Get an item from the collection by id
 	 * @param {string} id Id of the item
 	 * @returns {*} Stored item. Undefined if key doesn't exist
 	 */
 	get(id) {
+		observed(this, 'add remove move');
 		if (!this._idAttribute) {
 			throw new Error("No id attribute set.");
 		}
-		return this._map.get(id);
+		return this._map.get(String(id));
 	}
 
 	/**
 	 * Move an item within the collection.
 	 * Invalid if the collection has a compare function.
+	 * If the position changed, this will trigger a move event.
 	 * @param {string} id Id of the item
-	 * @param {*} idx Index to move the item to
-	 * returns {number} Order index of the item before moving. -1 if the item id doesn't exist.
+	 * @param {number} idx Index to move the item to
+	 * @returns {number} Order index of the item before moving. -1 if the item id doesn't exist.
 	 */
 	move(id, idx) {
-		if (this.compare) throw "Cannot use move in list with compare";
+		if (this._compare) {
+			throw new Error("Cannot use move in list with compare.");
+		}
+		let item = this.get(id);
+		if (!item) return -1;
+
+		let from = this._map.move(String(id), idx);
+		let to = this._map.indexOfKey(String(id));
+
+		// Emit event if the item changed position
+		if (from !== to) {
+			this._eventBus.emit(this, this._namespace + '.move', { item, from, to });
+		}
 
-		throw "Not implemented";
+		return from;
 	}
 
 	/**
@@ -152,34 +256,104 @@ class Collection {
 	 * @returns {number} Order index of the item. -1 if the item id doesn't exist.
 	 */
 	indexOf(item) {
+		observed(this, 'add remove move');
 		if (typeof item === 'string') {
 			item = this._map.get(item);
 			if (!item) {
 				return -1;
 			}
 		}
+		if (this._idAttribute) {
+			let id = this._itemKey(item);
+			return this._map.get(id) === item ? this._map.indexOfKey(id) : -1;
+		}
 		return this._map.indexOf(item);
 	}
 
 	atIndex(idx) {
-		return this._map[idx];
+		observed(this, 'add remove move');
+		return this._idAttribute ? this._map.at(idx) : this._map[idx];
 	}
 
 	get length() {
+		observed(this, 'add remove move');
 		return this._map.length;
 	}
 
 	toArray() {
+		observed(this, 'add remove move');
 		return this._map.slice();
 	}
 
+	// Gets the map key of an item. Ids are stored as strings, so that an id
+	// may be given either as a number or a string.
+	_itemKey(item) {
+		return String(this._idAttribute(item));
+	}
+
+	// Moves an item to its sorted position in case its sort order has
+	// changed, emitting a move event.
+	_reposition(item) {
+		let id = this._itemKey(item);
+		let from = this._map.indexOfKey(id);
+		let to = this._map.reposition(id);
+		if (from >= 0 && from !== to) {
+			this._eventBus.emit(this, this._namespace + '.move', { item, from, to });
+		}
+		this._setPlaced(item);
+		return to;
+	}
+
+	// Keeps track of a placed item until any change events already emitted
+	// by other items have been handled. The item is sorted against the
+	// current values of the other items, while their position may not yet
+	// have been updated. The events are handled after a timeout, and
+	// changes within a transaction are emitted when it ends, so two timeouts
+	// are awaited.
+	_setPlaced(item) {
+		this._placed = this._placed || new Set();
+		this._placed.add(item);
+		clearTimeout(this._placedTimeout);
+		this._placedTimeout = setTimeout(() => {
+			this._placedTimeout = setTimeout(() => {
+				this._placedTimeout = null;
+				this._placed = null;
+			}, 0);
+		}, 0);
+	}
+
+	// Moves any placed item that is out of order with its neighbours,
+	// emitting move events, until no placed item is out of order.
+	_settlePlaced() {
+		let moved = true;
+		while (moved && this._placed) {
+			moved = false;
+			for (let item of this._placed) {
+				let id = this._itemKey(item);
+				if (this._map.get(id) !== item) {
+					this._placed.delete(item);
+					continue;
+				}
+				let from = this._map.indexOfKey(id);
+				let to = this._map.settle(id);
+				if (from !== to) {
+					this._eventBus.emit(this, this._namespace + '.move', { item, from, to });
+					moved = true;
+				}
+			}
+		}
+	}
+
 	_addItem(item, emit, idx) {
 		if (this._modelFactory) {
 			item = this._modelFactory(item);
 		}
+		return this._insertItem(item, emit, idx);
+	}
 
+	_insertItem(item, emit, idx) {
 		if (this._idAttribute) {
-			idx = this._map.add(this._idAttribute(item), item, idx);
+			idx = this._map.add(this._itemKey(item), item, idx);
 		} else {
 			if (typeof idx != 'number') {
 				idx = this._map.length;
@@ -188,22 +362,49 @@ class Collection {
 			}
 			this._map.splice(idx, 0, item);
 		}
+		this._listenItem(item, true);
+		if (this._listen) {
+			this._setPlaced(item);
+		}
 		if (emit) {
 			this._eventBus.emit(this, this._namespace + '.add', { item: item, idx: idx });
 		}
 		return idx;
 	}
 
-	[Symbol.iterator]() {
-		let i = 0,
-			a = this._map,
-			l = a.length;
+	_listenItem(item, on) {
+		if (this._listen && item && typeof item.on == 'function') {
+			item[on ? 'on' : 'off']('change', this._onItemChange);
+		}
+	}
+
+	_onItemChange(change, item) {
+		// Ensure the item is still in the collection
+		if (this._map.get(this._itemKey(item)) === item) {
+			this._reposition(item);
+			this._settlePlaced();
+		}
+	}
 
-		return {
-			next: function() {
-				return { value: a[i++], done: i > l };
+	/**
+	 * Stops listening to item changes. Only needed for collections with a
+	 * compare function.
+	 */
+	dispose() {
+		if (this._listen) {
+			for (let item of this._map) {
+				this._listenItem(item, false);
 			}
-		};
+			this._listen = false;
+			clearTimeout(this._placedTimeout);
+			this._placedTimeout = null;
+			this._placed = null;
+		}
+	}
+
+	[Symbol.iterator]() {
+		observed(this, 'add remove move');
+		return this._map[Symbol.iterator]();
 	}
 }
 
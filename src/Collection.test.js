@@ -0,0 +1,387 @@
+import Model from './Model';
+import Collection from './Collection';
+import { ValidationError } from './validation';
+import eventBus from 'modapp-eventbus';
+
+describe("Collection", () => {
+	let items;
+	let collection;
+	let recordedEvents;
+	let recorderAttached;
+	let eventRecorder = (event) => jest.fn(e => recordedEvents.push(Object.assign({}, e, { event })));
+
+	jest.useFakeTimers();
+
+	function attachRecorder() {
+		if (!recorderAttached) {
+			recorderAttached = { add: eventRecorder("add"), remove: eventRecorder("remove"), move: eventRecorder("move") };
+			collection.on('add', recorderAttached.add);
+			collection.on('remove', recorderAttached.remove);
+			collection.on('move', recorderAttached.move);
+		}
+	}
+
+	function detachRecorder() {
+		if (recorderAttached) {
+			collection.off('add', recorderAttached.add);
+			collection.off('remove', recorderAttached.remove);
+			collection.off('move', recorderAttached.move);
+			recorderAttached = null;
+		}
+	}
+
+	function replayEvents(arr) {
+		arr = arr.slice();
+		for (let e of recordedEvents) {
+			switch (e.event) {
+				case 'add':
+					expect(e.idx >= 0 && e.idx <= arr.length).toBe(true);
+					arr.splice(e.idx, 0, e.item);
+					break;
+				case 'remove':
+					expect(e.idx >= 0 && e.idx < arr.length).toBe(true);
+					expect(e.item).toBe(arr[e.idx]);
+					arr.splice(e.idx, 1);
+					break;
+				case 'move':
+					expect(e.item).toBe(arr[e.from]);
+					arr.splice(e.to, 0, arr.splice(e.from, 1)[0]);
+					break;
+			}
+		}
+		return arr;
+	}
+
+	beforeEach(() => {
+		// Clear eventbus listeners
+		eventBus._evs = {};
+
+		items = {
+			10: { id: 10, fruit: 'banana' },
+			20: { id: 20, fruit: 'pineapple' },
+			30:	{ id: 30, fruit: 'orange' },
+			40:	{ id: 40, fruit: 'apple' },
+			50:	{ id: 50, fruit: 'kiwi' }
+		};
+		collection = new Collection({
+			modelFactory: item => new Model({ data: item }),
+			data: [
+				items[10],
+				items[20],
+				items[30],
+				items[40]
+			]
+		});
+
+		recordedEvents = [];
+	});
+
+	afterEach(() => {
+		detachRecorder();
+		collection.dispose();
+		// Validate we dont have any undisposed listeners
+		expect(Object.keys(eventBus._evs)).toEqual([]);
+	});
+
+	describe("move", () => {
+		test.each([
+			[ 10, 2, 0, [ 'pineapple', 'orange', 'banana', 'apple' ]],
+			[ 40, 0, 3, [ 'apple', 'banana', 'pineapple', 'orange' ]],
+			[ 20, 1, 1, [ 'banana', 'pineapple', 'orange', 'apple' ]],
+			[ 20, 10, 1, [ 'banana', 'orange', 'apple', 'pineapple' ]],
+			[ 30, -1, 2, [ 'orange', 'banana', 'pineapple', 'apple' ]],
+		])("given id=%i moved to idx=%i, returns %i and results in %p", (id, idx, expectedFrom, expected) => {
+			let arr = collection.toArray();
+			attachRecorder();
+			expect(collection.move(id, idx)).toBe(expectedFrom);
+			jest.runAllTimers();
+			expect(collection.toArray().map(m => m.fruit)).toEqual(expected);
+			expect(recordedEvents.length).toBe(expectedFrom === collection.indexOf(collection.get(id)) ? 0 : 1);
+			expect(replayEvents(arr)).toEqual(collection.toArray());
+		});
+
+		it("returns -1 on missing id", () => {
+			expect(collection.move(50, 0)).toBe(-1);
+		});
+
+		it("throws an error on sorted collection", () => {
+			collection = new Collection({
+				compare: (a, b) => a.fruit.localeCompare(b.fruit),
+				data: Object.values(items)
+			});
+			expect(() => collection.move(10, 0)).toThrow();
+		});
+	});
+
+	describe("reset", () => {
+		test.each([
+			[[], [ 'remove', 'remove', 'remove', 'remove' ]],
+			[[ 10, 20, 30, 40 ], []],
+			[[ 40, 30, 20, 10 ], [ 'remove', 'remove', 'remove', 'add', 'add', 'add' ]],
+			[[ 10, 30, 40 ], [ 'remove' ]],
+			[[ 10, 20, 30, 40, 50 ], [ 'add' ]],
+			[[ 50, 20, 30, 10 ], [ 'remove', 'remove', 'add', 'add' ]],
+		])("given ids %p, emits %p", (ids, expectedEvents) => {
+			let arr = collection.toArray();
+			attachRecorder();
+			collection.reset(ids.map(id => items[id]));
+			jest.runAllTimers();
+			expect(collection.toArray().map(m => m.id)).toEqual(ids);
+			expect(recordedEvents.map(e => e.event).sort()).toEqual(expectedEvents.slice().sort());
+			expect(replayEvents(arr)).toEqual(collection.toArray());
+		});
+
+		it("keeps existing instances with the same id", () => {
+			let banana = collection.get(10);
+			collection.reset([ items[30], items[10] ]);
+			expect(collection.get(10)).toBe(banana);
+		});
+
+		it("updates kept items with the new values", () => {
+			let banana = collection.get(10);
+			return collection.reset([{ id: 10, fruit: 'passionfruit' }, items[20] ]).then(() => {
+				expect(collection.get(10)).toBe(banana);
+				expect(banana.fruit).toBe('passionfruit');
+			});
+		});
+
+		it("rejects when the set of a kept item fails", () => {
+			collection = new Collection({
+				modelFactory: item => new Model({ data: item, definition: { id: 'number', fruit: { type: 'string', min: 3 }}}),
+				data: [ items[10], items[20] ]
+			});
+			return expect(collection.reset([{ id: 10, fruit: 'no' }])).rejects.toBeInstanceOf(ValidationError).then(() => {
+				expect(collection.toArray().map(m => m.fruit)).toEqual([ 'banana' ]);
+			});
+		});
+
+		it("keeps sort order in sorted collection", () => {
+			collection = new Collection({
+				compare: (a, b) => a.fruit.localeCompare(b.fruit),
+				data: [ items[10], items[20] ]
+			});
+			let arr = collection.toArray();
+			attachRecorder();
+			collection.reset([ items[40], items[20], items[50] ]);
+			jest.runAllTimers();
+			expect(collection.toArray().map(m => m.fruit)).toEqual([ 'apple', 'kiwi', 'pineapple' ]);
+			expect(replayEvents(arr)).toEqual(collection.toArray());
+		});
+	});
+
+	describe("get", () => {
+		it("gets an item by id given as a number or a string", () => {
+			let banana = collection.get(10);
+			expect(banana.fruit).toBe('banana');
+			expect(collection.get('10')).toBe(banana);
+			expect(collection.indexOf('10')).toBe(0);
+		});
+	});
+
+	describe("upsert", () => {
+		it("adds item with new id", () => {
+			attachRecorder();
+			let promise = collection.upsert(items[50], 1);
+			jest.runAllTimers();
+			expect(collection.toArray().map(m => m.fruit)).toEqual([ 'banana', 'kiwi', 'pineapple', 'orange', 'apple' ]);
+			expect(recordedEvents).toMatchObject([{ event: 'add', idx: 1 }]);
+			return expect(promise).resolves.toBe(1);
+		});
+
+		it("sets properties on item with existing id", () => {
+			let banana = collection.get(10);
+			attachRecorder();
+			return collection.upsert({ id: 10, fruit: 'passionfruit' }).then(idx => {
+				jest.runAllTimers();
+				expect(idx).toBe(0);
+				expect(collection.get(10)).toBe(banana);
+				expect(banana.fruit).toBe('passionfruit');
+				expect(recordedEvents.length).toBe(0);
+			});
+		});
+
+		it("rejects when the set of an existing item fails", () => {
+			collection = new Collection({
+				modelFactory: item => new Model({ data: item, definition: { id: 'number', fruit: { type: 'string', min: 3 }}}),
+				data: [ items[10] ]
+			});
+			return expect(collection.upsert({ id: 10, fruit: 'no' })).rejects.toBeInstanceOf(ValidationError).then(() => {
+				expect(collection.get(10).fruit).toBe('banana');
+			});
+		});
+
+		it("moves updated item in sorted collection", () => {
+			collection = new Collection({
+				modelFactory: item => new Model({ data: item }),
+				compare: (a, b) => a.fruit.localeCompare(b.fruit),
+				data: [ items[10], items[20], items[30], items[40] ]
+			});
+			let arr = collection.toArray();
+			attachRecorder();
+			return collection.upsert({ id: 10, fruit: 'passionfruit' }).then(idx => {
+				jest.runAllTimers();
+				expect(idx).toBe(2);
+				expect(collection.toArray().map(m => m.fruit)).toEqual([ 'apple', 'orange', 'passionfruit', 'pineapple' ]);
+				expect(recordedEvents).toMatchObject([{ event: 'move', from: 1, to: 2 }]);
+				expect(replayEvents(arr)).toEqual(collection.toArray());
+			});
+		});
+
+		it("throws an error on existing item without set method", () => {
+			collection = new Collection({ data: [ items[10] ] });
+			expect(() => collection.upsert({ id: 10, fruit: 'passionfruit' })).toThrow();
+		});
+	});
+
+	describe("opt.compare", () => {
+		beforeEach(() => {
+			collection = new Collection({
+				modelFactory: item => new Model({ data: item }),
+				compare: (a, b) => a.fruit.localeCompare(b.fruit),
+				data: [ items[10], items[20], items[30], items[40] ]
+			});
+		});
+
+		it("moves item on change affecting sorting", () => {
+			let arr = collection.toArray();
+			attachRecorder();
+			collection.get(10).set({ fruit: 'passionfruit' });
+			jest.runAllTimers();
+			expect(collection.toArray().map(m => m.fruit)).toEqual([ 'apple', 'orange', 'passionfruit', 'pineapple' ]);
+			expect(recordedEvents).toMatchObject([{ event: 'move', from: 1, to: 2 }]);
+			expect(replayEvents(arr)).toEqual(collection.toArray());
+		});
+
+		it("emits no event on change not affecting sorting", () => {
+			attachRecorder();
+			collection.get(10).set({ fruit: 'kiwi' });
+			jest.runAllTimers();
+			expect(collection.toArray().map(m => m.fruit)).toEqual([ 'apple', 'kiwi', 'orange', 'pineapple' ]);
+			expect(recordedEvents.length).toBe(0);
+		});
+
+		it("removes the correct item after it has changed", () => {
+			let banana = collection.get(10);
+			banana.set({ fruit: 'zucchini' });
+			jest.runAllTimers();
+			attachRecorder();
+			expect(collection.remove(10)).toBe(3);
+			jest.runAllTimers();
+			expect(collection.toArray().map(m => m.fruit)).toEqual([ 'apple', 'orange', 'pineapple' ]);
+			expect(recordedEvents).toMatchObject([{ event: 'remove', idx: 3, item: banana }]);
+		});
+
+		it("keeps equal items in the order they were added", () => {
+			collection.dispose();
+			collection = new Collection({
+				modelFactory: item => new Model({ data: item }),
+				compare: (a, b) => a.fruit.length - b.fruit.length,
+				data: [ items[10], items[20], items[30], items[40] ]
+			});
+			expect(collection.toArray().map(m => m.id)).toEqual([ 40, 10, 30, 20 ]);
+			collection.get(10).set({ fruit: 'passionfruit' });
+			jest.runAllTimers();
+			collection.get(10).set({ fruit: 'banana' });
+			jest.runAllTimers();
+			expect(collection.toArray().map(m => m.id)).toEqual([ 40, 10, 30, 20 ]);
+			expect(collection.remove(30)).toBe(2);
+			expect(collection.toArray().map(m => m.id)).toEqual([ 40, 10, 20 ]);
+		});
+
+		it("resets equal items to the order they are kept in", () => {
+			collection.dispose();
+			collection = new Collection({
+				modelFactory: item => new Model({ data: item }),
+				compare: (a, b) => a.fruit.length - b.fruit.length,
+				data: [ items[10], items[20] ]
+			});
+			let arr = collection.toArray();
+			attachRecorder();
+			collection.reset([ items[50], items[30], items[20], items[10] ]);
+			jest.runAllTimers();
+			expect(collection.toArray().map(m => m.id)).toEqual([ 50, 10, 30, 20 ]);
+			expect(replayEvents(arr)).toEqual(collection.toArray());
+		});
+
+		describe("items added before a change event", () => {
+			function numberCollection(values) {
+				collection.dispose();
+				collection = new Collection({
+					modelFactory: item => new Model({ data: item }),
+					compare: (a, b) => a.v - b.v,
+					data: values.map((v, i) => ({ id: String.fromCharCode(65 + i), v }))
+				});
+				jest.runAllTimers();
+			}
+
+			function values() {
+				return collection.toArray().map(m => m.v);
+			}
+
+			it("sorts an item added in the same tick as a sort key change", () => {
+				numberCollection([ 1, 3 ]);
+				let arr = collection.toArray();
+				attachRecorder();
+				collection.atIndex(0).set({ v: 5 });
+				collection.add({ id: 'D', v: 4 });
+				jest.runAllTimers();
+				expect(values()).toEqual([ 3, 4, 5 ]);
+				expect(replayEvents(arr)).toEqual(collection.toArray());
+			});
+
+			it("sorts an item placed next to items in order with it", () => {
+				numberCollection([ 1, 2, 3 ]);
+				let arr = collection.toArray();
+				attachRecorder();
+				collection.atIndex(1).set({ v: 10 });
+				collection.add({ id: 'D', v: 5 });
+				jest.runAllTimers();
+				expect(values()).toEqual([ 1, 3, 5, 10 ]);
+				expect(replayEvents(arr)).toEqual(collection.toArray());
+			});
+
+			it("sorts an item added within the same transaction as a sort key change", () => {
+				numberCollection([ 1, 3 ]);
+				let m = collection.atIndex(0);
+				m.batch(() => {
+					m.set({ v: 5 });
+					collection.add({ id: 'D', v: 4 });
+				});
+				jest.runAllTimers();
+				expect(values()).toEqual([ 3, 4, 5 ]);
+			});
+
+			it("stays sorted for any combination of a change and adds in the same tick", () => {
+				let vs = [ 0, 2, 4, 6 ];
+				for (let i = 0; i < 3; i++) {
+					for (let c of vs) {
+						for (let d of [ 1, 3, 5, 7 ]) {
+							for (let e of [ 1, 3, 5, 7 ]) {
+								numberCollection([ 2, 4, 6 ]);
+								let arr = collection.toArray();
+								recordedEvents = [];
+								attachRecorder();
+								collection.atIndex(i).set({ v: c });
+								collection.add({ id: 'D', v: d });
+								collection.add({ id: 'E', v: e });
+								jest.runAllTimers();
+								expect(values()).toEqual(values().slice().sort((x, y) => x - y));
+								expect(replayEvents(arr)).toEqual(collection.toArray());
+								detachRecorder();
+							}
+						}
+					}
+				}
+			});
+		});
+
+		it("stops listening to removed items", () => {
+			let banana = collection.get(10);
+			collection.remove(10);
+			attachRecorder();
+			banana.set({ fruit: 'zucchini' });
+			jest.runAllTimers();
+			expect(recordedEvents.length).toBe(0);
+		});
+	});
+});
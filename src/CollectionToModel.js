@@ -1,5 +1,7 @@
 import eventBus from 'modapp-eventbus';
 import { obj } from 'modapp-utils';
+import { observed } from './autorun';
+import { promoteProperty, changeRecord } from './utils';
 
 /**
  * Model key callback
@@ -11,6 +13,10 @@ import { obj } from 'modapp-utils';
 /**
  * A wrapper for a {@link module:modapp~Collection} that exposes an object that implements the {@link module:modapp~Model}
  * interface. It will transparently propagate emitted add and remove events and turn them to change events.
+ * Move events are ignored, as the order of the collection does not affect the model properties.
+ *
+ * With rich events, a changeRecord event is emitted after each change event,
+ * with a {@link Model~changeRecord} for each changed property.
  * @implements {module:modapp~Model}
  */
 class CollectionToModel {
@@ -21,6 +27,7 @@ class CollectionToModel {
 	 * @param {CollectionToModel~modelKeyCallback} keyCallback Model key callback function.
 	 * @param {object} [opt] Optional parameters.
 	 * @param {function} [opt.map] Model value map callback. If not provided, model values will be the same as collection items: func(item) -> value
+	 * @param {boolean} [opt.richEvents] Flag telling if a changeRecord event, with the old and new values, should be emitted after each change event. Defaults to false.
 	 * @param {string} [opt.namespace] Event bus namespace. Defaults to 'collectionToModel'.
 	 * @param {module:modapp~EventBus} [opt.eventBus] Event bus.
 	 */
@@ -31,6 +38,7 @@ class CollectionToModel {
 
 		obj.update(this, opt, {
 			map: { type: 'function', default: v => v, property: '_map' },
+			richEvents: { type: 'boolean', default: false, property: '_richEvents' },
 			namespace: { type: 'string', default: 'collectionToModel', property: '_namespace' },
 			eventBus: { type: 'object', default: eventBus, property: '_eventBus' }
 		});
@@ -47,6 +55,7 @@ class CollectionToModel {
 	 * @returns {object} Anonymous object with all model properties.
 	 */
 	get props() {
+		observed(this, 'change');
 		return this._props;
 	}
 
@@ -79,7 +88,7 @@ class CollectionToModel {
 				change[k] = this._props[k];
 				this._props[k] = mv;
 				if (this._promote(k)) {
-					this[k] = mv;
+					promoteProperty(this, this._props, k);
 				}
 			}
 		}
@@ -96,7 +105,7 @@ class CollectionToModel {
 		this._setEventListeners(true);
 
 		if (!noEvents) {
-			this._eventBus.emit(this, this._namespace + '.change', change);
+			this._emitChange(change);
 		}
 
 		return this;
@@ -155,7 +164,7 @@ class CollectionToModel {
 		if (isAdd) {
 			this._props[k] = mv;
 			if (this._promote(k)) {
-				this[k] = mv;
+				promoteProperty(this, this._props, k);
 			}
 		} else {
 			delete this._props[k];
@@ -164,7 +173,14 @@ class CollectionToModel {
 			}
 		}
 
-		this._eventBus.emit(this, this._namespace + '.change', { [k]: ov });
+		this._emitChange({ [k]: ov });
+	}
+
+	_emitChange(change) {
+		this._eventBus.emit(this, this._namespace + '.change', change);
+		if (this._richEvents) {
+			this._eventBus.emit(this, this._namespace + '.changeRecord', changeRecord(change, this._props));
+		}
 	}
 
 	_promote(key) {
@@ -100,6 +100,18 @@ describe("CollectionToModel", () => {
 			wrapper.off('change', onChange);
 		});
 
+		it("does not trigger change event on move", () => {
+			wrapper = new CollectionToModel(collection, item => item.id);
+			let onChange = jest.fn();
+			wrapper.on('change', onChange);
+			collection.move(20, 3);
+			jest.runAllTimers();
+
+			expect(onChange).not.toHaveBeenCalled();
+
+			wrapper.off('change', onChange);
+		});
+
 		it("triggers change event on setCollection without previous collection", () => {
 			wrapper = new CollectionToModel(null, item => item.id);
 			let onChange = jest.fn();
@@ -157,4 +169,22 @@ describe("CollectionToModel", () => {
 			wrapper.off('change', onChange);
 		});
 	});
+
+	describe("rich events", () => {
+		it("emits a changeRecord event on add and remove", () => {
+			wrapper = new CollectionToModel(collection, item => item.id, { richEvents: true });
+			let onRecord = jest.fn();
+			wrapper.on('changeRecord', onRecord);
+			let banana = collection.get(10);
+			collection.add({ id: 50, fruit: 'kiwi' });
+			collection.remove(10);
+			jest.runAllTimers();
+			let kiwi = collection.get(50);
+			expect(onRecord.mock.calls.map(c => c[0])).toEqual([
+				{ 50: { type: 'add', old: undefined, new: kiwi }},
+				{ 10: { type: 'delete', old: banana, new: undefined }}
+			]);
+			wrapper.off('changeRecord', onRecord);
+		});
+	});
 });
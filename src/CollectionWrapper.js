@@ -1,12 +1,18 @@
 import eventBus from 'modapp-eventbus';
-import { array, obj } from 'modapp-utils';
+import { obj } from 'modapp-utils';
+import RankTree from './RankTree';
 import { toArray, patchDiff } from './utils';
+import { observed } from './autorun';
+import { setMeta, getMeta } from './meta';
 
 /**
  * A wrapper for a {@link module:modapp~Collection}, exposing the underlaying
  * data but can provide a different sort order, mapping of items, filtering of
  * items, or slicing of the collection. It will transparently propagate emitted
- * add and remove events.
+ * add, remove, and move events.
+ *
+ * Events caused by a change of an item carry the metadata of the change,
+ * which may be read from the event data using getMeta.
  * @implements {module:modapp~Collection}
  */
 class CollectionWrapper {
@@ -19,7 +25,8 @@ class CollectionWrapper {
 	 * @param {function} [opt.filter] Model filter callback. Parameter is a item of the underlying collection.
 	 * @param {number} [opt.begin] Zero-based index at which to begin extraction, similar to Array.slice.
 	 * @param {?number} [opt.end] Zero-based index before which to end extraction, similar to Array.slice. Null extracts until the end of the collection.
-	 * @param {function} [opt.compare] Sort compare function.
+	 * @param {function} [opt.compare] Sort compare function. Items comparing equal are kept in the order they were added.
+	 * @param {boolean} [opt.moveEvents] Flag telling if an item changing position within the slice, due to a change to the item, should emit a move event instead of a remove and an add event. Defaults to false.
 	 * @param {string} [opt.namespace] Event bus namespace. Defaults to 'collectionWrapper'.
 	 * @param {module:modapp~EventBus} [opt.eventBus] Event bus.
 	 * @param {?number} [opt.autoDispose] Milliseconds until dispose is called after the number of listeners reaches zero. Default is never.
@@ -33,22 +40,21 @@ class CollectionWrapper {
 			begin: { type: 'number', default: 0, property: '_begin' },
 			end: { type: '?number', property: '_end' },
 			compare: { type: '?function', property: '_compare' },
+			moveEvents: { type: 'boolean', default: false, property: '_moveEvents' },
 			namespace: { type: 'string', default: 'collectionWrapper', property: '_namespace' },
 			eventBus: { type: 'object', default: eventBus, property: '_eventBus' },
 			autoDispose: { type: '?number', property: '_autoDispose' }
 		});
 
-		if (this._map) {
-			this._weakMap = new WeakMap();
-		}
-
 		// Bind callbacks
 		this._onAdd = this._onAdd.bind(this);
 		this._onRemove = this._onRemove.bind(this);
-		this._listen = !!(this._filter || this._map || this._compare);
-		if (this._listen) {
-			this._onChange = this._onChange.bind(this);
-		}
+		this._onMove = this._onMove.bind(this);
+		this._onChange = this._onChange.bind(this);
+		this._contCompare = (a, b) => this._compare(a.m, b.m) || a.s - b.s;
+		this._seq = 0;
+		// Metadata of the item change being handled
+		this._meta = null;
 
 		this._onCount = 0;
 		this._timeout = null;
@@ -60,48 +66,40 @@ class CollectionWrapper {
 	}
 
 	_initList() {
-		this._list = [];
+		this._list = new RankTree();
+		this._nodes = new Map();
+		this._mapped = this._map ? new Map() : null;
 		this._len = 0;
+		this._listen = !!(this._filter || this._map || this._compare);
 
 		if (!this._collection) {
 			return;
 		}
 
-		let getModel = this._map
-			? item => {
-				let m = this._map(item, this._collection);
-				this._weakMap.set(item, m);
-				return m;
-			}
-			: item => item;
-		let add = this._filter
-			? (item, m) => {
-				let c = this._wrapModel(m, item);
-				if (c.f) this._len++;
-				this._list.push(c);
-			}
-			: (item, m) => {
-				this._list.push(this._wrapModel(m, item));
-				this._len++;
-			};
-
+		let nodes = [];
 		for (let item of this._collection) {
-			let m = getModel(item);
+			let m = this._map
+				? this._map(item, this._collection)
+				: item;
 			if (this._listen && item.on) {
 				item.on('change', this._onChange);
 			}
-			add(item, m);
+			nodes.push(this._createNode(m, item));
 		}
 
 		if (this._compare) {
-			this._list.sort((a, b) => this._compare(a.m, b.m));
+			nodes.sort((a, b) => this._contCompare(a.value, b.value));
 		}
+
+		this._list.build(nodes);
+		this._len = this._list.count;
 	}
 
 	/**
 	 * Length of the collection.
 	 */
 	get length() {
+		observed(this, 'add remove move');
 		let s = this._beginIdx();
 		let e = this._endIdx();
 		return s > e ? 0 : e - s;
@@ -175,6 +173,72 @@ class CollectionWrapper {
 		);
 	}
 
+	/**
+	 * Sets the sort compare function. Events are emitted for items changing
+	 * position. For large changes, the items are sent as move events.
+	 * @param {?function} compare Sort compare function. Null keeps the order of the underlying collection.
+	 */
+	setCompare(compare) {
+		this._setOptions({ _compare: compare || null });
+	}
+
+	/**
+	 * Sets the filter callback. Events are emitted for items being shown or
+	 * hidden.
+	 * @param {?function} filter Model filter callback. Null shows all items.
+	 */
+	setFilter(filter) {
+		this._setOptions({ _filter: filter || null });
+	}
+
+	/**
+	 * Sets the map callback. Events are emitted for all items being replaced
+	 * with their new mapped values.
+	 * @param {?function} map Model map callback. Null stores the items as is.
+	 */
+	setMap(map) {
+		this._setOptions({ _map: map || null });
+	}
+
+	/**
+	 * Sets the slice range. Events are emitted for items entering or leaving
+	 * the range.
+	 * @param {number} [begin] Zero-based index at which to begin extraction, similar to Array.slice. Defaults to 0.
+	 * @param {?number} [end] Zero-based index before which to end extraction, similar to Array.slice. Null extracts until the end of the collection.
+	 */
+	setRange(begin, end) {
+		let oldList = this._array();
+		this._begin = begin || 0;
+		this._end = typeof end == 'number' ? end : null;
+		this._sendSyncEvents(oldList, this._array());
+	}
+
+	_setOptions(opt) {
+		let changed = false;
+		for (let k in opt) {
+			if (this[k] !== opt[k]) {
+				changed = true;
+			}
+		}
+		if (!changed || this._disposed) {
+			return;
+		}
+
+		let oldList = this._array();
+		this._setItemListeners(false);
+		Object.assign(this, opt);
+		this._initList();
+		this._sendSyncEvents(oldList, this._array());
+	}
+
+	_sendSyncEvents(oldList, newList) {
+		patchDiff(oldList, newList,
+			(m, n, idx) => this._sendAdd(m, idx),
+			(m, n, idx) => this._sendRemove(m, idx),
+			(m, from, to) => this._sendMove(m, from, to)
+		);
+	}
+
 	/**
 	 * Attach an event handler function for one or more session events.
 	 * @param {?string} events One or more space-separated events. Null means any event.
@@ -201,26 +265,13 @@ class CollectionWrapper {
 	 * @returns {*} Item located at the given index.
 	 */
 	atIndex(idx) {
+		observed(this, 'add remove move');
 		let s = this._beginIdx();
 		let e = this._endIdx();
 		// Check out of bounds
 		if (idx < 0 || idx >= e - s) return undefined;
 
-		// Set idx to the filtered internal index
-		idx += s;
-		if (this._filter) {
-			// Find the idx:th item
-			for (let c of this._list) {
-				if (c.f) {
-					if (!idx) {
-						return c.m;
-					}
-					idx--;
-				}
-			}
-		}
-
-		return this._list[idx].m;
+		return this._atFIndex(idx + s);
 	}
 
 	/**
@@ -229,33 +280,15 @@ class CollectionWrapper {
 	 * @returns {number} Zero-based index of the item, or -1 if the item is not found.
 	 */
 	indexOf(item) {
+		observed(this, 'add remove move');
+		let node = (this._mapped || this._nodes).get(item);
+		if (!node || !node.vis) {
+			return -1;
+		}
+		let i = this._list.visibleIndexOf(node);
 		let s = this._beginIdx();
 		let e = this._endIdx();
-		if (e > s) {
-			if (this._filter) {
-				let i = 0;
-				for (let c of this._list) {
-					if (c.f) {
-						if (c.m === item) {
-							return i >= s ? i - s : -1;
-						}
-						i++;
-						if (i >= e) break;
-					} else {
-						if (c.m === item) {
-							return -1;
-						}
-					}
-				}
-			} else {
-				for (let i = s; i < e; i++) {
-					if (this._list[i].m === item) {
-						return i - s;
-					}
-				}
-			}
-		}
-		return -1;
+		return i >= s && i < e ? i - s : -1;
 	}
 
 	/**
@@ -270,44 +303,8 @@ class CollectionWrapper {
 		}
 	}
 
-	_indexOf(item) {
-		if (this._filter) {
-			return this._fIndexOf(item);
-		}
-		for (let i = 0; i < this._list.length; i++) {
-			let c = this._list[i];
-			if (c.m === item) {
-				return { cont: c, idx: i, fidx: i };
-			}
-		}
-		return { cont: null, idx: -1, fidx: -1 };
-	}
-
-	_fIndexOf(item) {
-		let fi = 0;
-		for (let i = 0; i < this._list.length; i++) {
-			let c = this._list[i];
-			if (c.m === item) {
-				return { cont: c, idx: i, fidx: fi };
-			}
-			if (c.f) fi++;
-		}
-		return { cont: null, idx: -1, fidx: -1 };
-	}
-
 	_atFIndex(fidx) {
-		if (this._filter) {
-			// Find the fidx:th item
-			for (let c of this._list) {
-				if (c.f) {
-					if (!fidx) {
-						return c.m;
-					}
-					fidx--;
-				}
-			}
-		}
-		return this._list[fidx].m;
+		return this._list.atVisible(fidx).value.m;
 	}
 
 	// Returns the begin index based of the filtered internal list.
@@ -332,21 +329,41 @@ class CollectionWrapper {
 	}
 
 	_array() {
-		let arr = this._filter
-			? this._list.filter(c => c.f)
-			: this._list;
-		let s = this._beginIdx();
-		let e = this._endIdx();
-		if (s == 0 && e == this._len) {
-			return arr.map(c => c.m);
-		}
-		return arr.slice(s, e).map(c => c.m);
+		return Array.from(this);
 	}
 
 	_wrapModel(m, item) {
 		return this._filter
-			? { m: m, f: this._filter(item), i: item }
-			: { m: m, i: item };
+			? { m: m, f: this._filter(item), i: item, s: this._seq++ }
+			: { m: m, i: item, s: this._seq++ };
+	}
+
+	_createNode(m, item) {
+		let cont = this._wrapModel(m, item);
+		let node = RankTree.node(cont, !this._filter || cont.f);
+		this._addNode(node);
+		return node;
+	}
+
+	// Adds a node to the lookup maps.
+	_addNode(node) {
+		let cont = node.value;
+		this._nodes.set(cont.i, node);
+		if (this._mapped) {
+			this._mapped.set(cont.m, node);
+		}
+	}
+
+	// Deletes a node from the lookup maps, unless a duplicate item has
+	// replaced it.
+	_deleteNode(node) {
+		let cont = node.value;
+		if (this._nodes.get(cont.i) === node) {
+			this._nodes.delete(cont.i);
+		}
+		if (this._mapped && this._mapped.get(cont.m) === node) {
+			this._mapped.delete(cont.m);
+		}
 	}
 
 	_setEventListeners(on) {
@@ -357,75 +374,103 @@ class CollectionWrapper {
 		let cb = on ? 'on' : 'off';
 		c[cb]('add', this._onAdd);
 		c[cb]('remove', this._onRemove);
+		c[cb]('move', this._onMove);
 	}
 
-	_binarySearch(m) {
-		return array.binarySearch(this._list, { m }, (a, b) => this._compare(a.m, b.m));
+	_setItemListeners(on) {
+		if (this._listen) {
+			let cb = on ? 'on' : 'off';
+			for (let cont of this._list) {
+				let item = cont.i;
+				if (item && item.on) {
+					item[cb]('change', this._onChange);
+				}
+			}
+		}
 	}
 
-	_onChange(_, item) {
-		let m = this._weakMap
-			? this._weakMap.get(item)
-			: item;
+	_onChange(change, item) {
+		let meta = this._meta;
+		this._meta = getMeta(change);
+		try {
+			this._updateItem(item);
+		} finally {
+			this._meta = meta;
+		}
+	}
 
-		// Get current idx of the item.
-		let { cont, idx, fidx } = this._indexOf(m);
-		if (!cont) {
+	_updateItem(item) {
+		let node = this._nodes.get(item);
+		if (!node) {
 			return;
 		}
+		let cont = node.value;
+		let m = cont.m;
+		let idx = this._list.indexOf(node);
+		let fidx = this._list.visibleIndexOf(node);
 
 		// Get filtered and new filter value
-		let f = true;
-		let nf = true;
-		if (this._filter) {
-			f = cont.f;
-			nf = this._filter(item);
-			cont.f = nf;
-		}
+		let f = !!node.vis;
+		let nf = this._filter
+			? this._filter(item)
+			: true;
 
 		// Get new mapped item
-		let nm = m;
-		if (this._map) {
-			nm = this._map(item, this._collection);
-			if (m !== nm) {
-				cont.m = nm;
-				this._weakMap.set(item, nm);
-			}
-		}
+		let nm = this._map
+			? this._map(item, this._collection)
+			: m;
 
 		// Check if item moved
-		let nfidx = fidx;
-		let moved = this._compare && !(
-			(idx === 0 || this._compare(this._list[idx - 1].m, nm) < 0) &&
-			(idx === (this._list.length - 1) || this._compare(nm, this._list[idx + 1].m) < 0)
-		);
-		if (moved) {
-			// Remove from last position
-			this._list.splice(idx, 1);
-			idx = this._binarySearch(nm);
-			if (idx < 0) {
-				// If idx < 0, the value contains the bitwise compliment of where the
-				// item would fit.
-				idx = ~idx;
-			}
-			// Insert in new position
-			this._list.splice(idx, 0, cont);
-			nfidx = this._filter
-				? nf
-					? this._fIndexOf(m).fidx
-					: fidx
-				: idx;
+		let moved = false;
+		if (this._compare) {
+			let prev = this._list.prev(node);
+			let next = this._list.next(node);
+			let ncont = { m: nm, s: cont.s };
+			moved = !(
+				(!prev || this._contCompare(prev.value, ncont) < 0) &&
+				(!next || this._contCompare(ncont, next.value) < 0)
+			);
 		}
 
-		// Early exit if visibility, mapped value, and index is unchanged.
+		// Early exit if visibility, mapped value, and position is unchanged.
+		if (f === nf && m === nm && !moved) {
+			return;
+		}
+
+		if (this._filter) {
+			cont.f = nf;
+		}
+		if (m !== nm) {
+			this._deleteNode(node);
+			cont.m = nm;
+			this._addNode(node);
+		}
+
+		let insert = () => this._compare
+			? this._list.insertSorted(node, this._contCompare)
+			: this._list.insertAt(node, idx);
+
+		this._list.remove(node);
+		this._list.setVisible(node, nf);
+		insert();
+		let nfidx = this._list.visibleIndexOf(node);
+
+		// Early exit if the item only moved among hidden items.
 		if (f === nf && m === nm && fidx === nfidx) {
 			return;
 		}
 
+		// Send a single move event if a visible item moved within the slice.
+		if (this._moveEvents && f && nf && m === nm && this._trySendMove(m, fidx, nfidx)) {
+			return;
+		}
+
 		// Remove unless it was previously hidden
 		if (f) {
+			this._list.remove(node);
 			this._len--;
 			this._trySendRemove(m, fidx);
+			insert();
 		}
 
 		// Add unless it is now hidden
@@ -510,17 +555,64 @@ class CollectionWrapper {
 	}
 
 	_sendAdd(item, idx) {
-		this._eventBus.emit(this, this._namespace + '.add', {
+		this._eventBus.emit(this, this._namespace + '.add', setMeta({
 			item,
 			idx
-		});
+		}, this._meta));
 	}
 
 	_sendRemove(item, idx) {
-		this._eventBus.emit(this, this._namespace + '.remove', {
+		this._eventBus.emit(this, this._namespace + '.remove', setMeta({
 			item,
 			idx
-		});
+		}, this._meta));
+	}
+
+	_sendMove(item, from, to) {
+		this._eventBus.emit(this, this._namespace + '.move', setMeta({
+			item,
+			from,
+			to
+		}, this._meta));
+	}
+
+	// Sends a move event if both the filtered index fidx and nfidx are
+	// within the slice. Returns true if the event was sent.
+	_trySendMove(m, fidx, nfidx) {
+		let s = this._beginIdx();
+		let e = this._endIdx();
+		if (fidx >= s && fidx < e && nfidx >= s && nfidx < e) {
+			this._sendMove(m, fidx - s, nfidx - s);
+			return true;
+		}
+		return false;
+	}
+
+	// Moves a node within the internal list to index nidx, and sends events
+	// if the item is visible. A move within the slice is sent as a move
+	// event, while a move across the slice bounds is sent as add and remove
+	// events.
+	_moveNode(node, nidx) {
+		let m = node.value.m;
+		let fidx = this._list.visibleIndexOf(node);
+		this._list.remove(node);
+		this._list.insertAt(node, nidx);
+
+		if (!node.vis) {
+			return;
+		}
+
+		let nfidx = this._list.visibleIndexOf(node);
+		if (fidx === nfidx || this._trySendMove(m, fidx, nfidx)) {
+			return;
+		}
+
+		this._list.remove(node);
+		this._len--;
+		this._trySendRemove(m, fidx);
+		this._list.insertAt(node, nidx);
+		this._len++;
+		this._trySendAdd(m, nfidx);
 	}
 
 	_onAdd(e) {
@@ -531,36 +623,23 @@ class CollectionWrapper {
 		let m = this._map
 			? this._map(e.item, this._collection)
 			: e.item;
-		let idx = this._compare
-			? this._binarySearch(m)
-			: e.idx;
-
-		if (this._weakMap) {
-			this._weakMap.set(e.item, m);
-		}
-
-		if (idx < 0) {
-			// If idx < 0, the value contains the bitwise compliment of where the
-			// item would fit.
-			idx = ~idx;
+		let node = this._createNode(m, e.item);
+		if (this._compare) {
+			this._list.insertSorted(node, this._contCompare);
+		} else {
+			this._list.insertAt(node, e.idx);
 		}
 
-		let cont = this._wrapModel(m, e.item);
-		this._list.splice(idx, 0, cont);
-
 		if (this._listen && e.item.on) {
 			e.item.on('change', this._onChange);
 		}
 
-		if (this._filter) {
-			if (!cont.f) {
-				return;
-			}
-			idx = this._fIndexOf(m).fidx;
+		if (!node.vis) {
+			return;
 		}
 
 		this._len++;
-		this._trySendAdd(m, idx);
+		this._trySendAdd(m, this._list.visibleIndexOf(node));
 	}
 
 	_onRemove(e) {
@@ -568,39 +647,43 @@ class CollectionWrapper {
 			return;
 		}
 
-		let m = this._weakMap && this._compare
-			? this._weakMap.get(e.item)
-			: e.item;
-		let idx = this._compare
-			? this._binarySearch(m)
-			: e.idx;
-
-		let cont = this._list[idx];
-
-		if (this._weakMap) {
-			this._weakMap.delete(e.item);
+		// Without a compare function, the internal order matches the
+		// underlying collection.
+		let node = this._compare
+			? this._nodes.get(e.item)
+			: this._list.at(e.idx);
+		if (!node) {
+			return;
 		}
 
-		let fidx = idx;
+		this._deleteNode(node);
 		if (this._listen && e.item.on) {
 			e.item.off('change', this._onChange);
 		}
 
-		if (this._filter) {
-			// Quick exit if a filtered item was removed.
-			if (!cont.f) {
-				return this._list.splice(idx, 1);
-			}
-			let r = this._fIndexOf(m);
-			if (!r.cont) {
-				return;
-			}
-			fidx = r.fidx;
+		// Quick exit if a filtered item was removed.
+		if (!node.vis) {
+			this._list.remove(node);
+			return;
 		}
 
-		this._list.splice(idx, 1);
+		let fidx = this._list.visibleIndexOf(node);
+		this._list.remove(node);
 		this._len--;
-		this._trySendRemove(m, fidx);
+		this._trySendRemove(node.value.m, fidx);
+	}
+
+	_onMove(e) {
+		// A sorted collection keeps its order regardless of the underlying
+		// collection's order.
+		if (this._disposed || this._compare) {
+			return;
+		}
+
+		let node = this._list.at(e.from);
+		if (node) {
+			this._moveNode(node, e.to);
+		}
 	}
 
 	_checkAutoDispose(dt) {
@@ -624,62 +707,29 @@ class CollectionWrapper {
 			return;
 		}
 
-		if (this._listen) {
-			for (let cont of this._list) {
-				let item = cont.i;
-				if (item && item.on) {
-					item.off('change', this._onChange);
-				}
-			}
-		}
-
+		this._setItemListeners(false);
 		this._setEventListeners(false);
 		delete this._collection;
-		delete this._weakMap;
 		this.disposed = false;
 	}
 
 	[Symbol.iterator]() {
-		let i = 0;
-		let a;
-		let arr = this._list;
+		observed(this, 'add remove move');
+		let list = this._list;
 		let done = { done: true };
-		let s = this._beginIdx();
+		let i = this._beginIdx();
 		let e = this._endIdx();
-		let si = 0;
-
-		if (e <= s) {
-			return { next: function() { return done; } };
-		}
-
-		if (this._filter) {
-			return {
-				next: function() {
-					while (si < e) {
-						a = arr[i];
-						i++;
-						if (a.f) {
-							si++;
-							if (si > s) {
-								return {
-									value: a.m,
-									done: false
-								};
-							}
-						}
-					}
+		let node = e > i ? list.atVisible(i) : null;
 
+		return {
+			next: function() {
+				if (!node || i >= e) {
 					return done;
 				}
-			};
-		}
-
-		i = s;
-		return {
-			next: function () {
-				return i < e
-					? { value: arr[i++].m, done: false }
-					: done;
+				let value = node.value.m;
+				node = list.nextVisible(node);
+				i++;
+				return { value, done: false };
 			}
 		};
 	}
@@ -17,9 +17,10 @@ describe("CollectionWrapper", () => {
 
 	function attachRecorder() {
 		if (!recorderAttached && wrapper) {
-			recorderAttached = { add: eventRecorder("add"), remove: eventRecorder("remove") };
+			recorderAttached = { add: eventRecorder("add"), remove: eventRecorder("remove"), move: eventRecorder("move") };
 			wrapper.on('add', recorderAttached.add);
 			wrapper.on('remove', recorderAttached.remove);
+			wrapper.on('move', recorderAttached.move);
 		}
 	}
 
@@ -27,6 +28,7 @@ describe("CollectionWrapper", () => {
 		if (recorderAttached) {
 			wrapper.off('add', recorderAttached.add);
 			wrapper.off('remove', recorderAttached.remove);
+			wrapper.off('move', recorderAttached.move);
 			recorderAttached = null;
 		}
 	}
@@ -260,6 +262,45 @@ describe("CollectionWrapper", () => {
 		});
 	});
 
+	describe("opt.compare with equal items", () => {
+		let byLength = (a, b) => a.fruit.length - b.fruit.length;
+
+		beforeEach(() => {
+			// banana, orange, and kiwi22 all have six letters
+			collection.add({ id: 50, fruit: 'kiwi22' });
+			wrapper = new CollectionWrapper(collection, { compare: byLength });
+		});
+
+		it("keeps equal items in collection order", () => {
+			expect(wrapper.map(m => m.id)).toEqual([ 40, 10, 30, 50, 20 ]);
+		});
+
+		it("removes the exact item among equal items", () => {
+			attachRecorder();
+			collection.remove(30);
+			jest.runAllTimers();
+			expect(wrapper.map(m => m.id)).toEqual([ 40, 10, 50, 20 ]);
+			expect(recordedEvents).toMatchObject([{ event: "remove", idx: 2, item: { id: 30 }}]);
+		});
+
+		it("returns equal item to its position on change and change back", () => {
+			attachRecorder();
+			collection.get(10).set({ fruit: 'passionfruit' });
+			jest.runAllTimers();
+			collection.get(10).set({ fruit: 'banana' });
+			jest.runAllTimers();
+			expect(wrapper.map(m => m.id)).toEqual([ 40, 10, 30, 50, 20 ]);
+		});
+
+		it("emits no event on change to an equal value", () => {
+			attachRecorder();
+			collection.get(10).set({ fruit: 'cherry' });
+			jest.runAllTimers();
+			expect(wrapper.map(m => m.id)).toEqual([ 40, 10, 30, 50, 20 ]);
+			expect(recordedEvents.length).toBe(0);
+		});
+	});
+
 	describe("opt.filter", () => {
 		it("propagates a filtered collection", () => {
 			wrapper = new CollectionWrapper(collection, {
@@ -833,6 +874,210 @@ describe("CollectionWrapper", () => {
 		});
 	});
 
+	describe("move event", () => {
+		it("propagates move event", () => {
+			wrapper = new CollectionWrapper(collection);
+			attachRecorder();
+			collection.move(10, 2);
+			jest.runAllTimers();
+			expect(wrapper.map(m => m.fruit)).toEqual([ 'pineapple', 'orange', 'banana', 'apple' ]);
+			expect(recordedEvents).toMatchObject([{ event: 'move', from: 0, to: 2, item: collection.get(10) }]);
+		});
+
+		it("propagates move event with filtered index", () => {
+			wrapper = new CollectionWrapper(collection, {
+				filter: m => m.fruit.length <= 6
+			});
+			attachRecorder();
+			collection.move(40, 0);
+			jest.runAllTimers();
+			expect(wrapper.map(m => m.fruit)).toEqual([ 'apple', 'banana', 'orange' ]);
+			expect(recordedEvents).toMatchObject([{ event: 'move', from: 2, to: 0, item: collection.get(40) }]);
+		});
+
+		it("emits no event on moving a filtered item", () => {
+			wrapper = new CollectionWrapper(collection, {
+				filter: m => m.fruit.length <= 6
+			});
+			attachRecorder();
+			collection.move(20, 3);
+			jest.runAllTimers();
+			expect(wrapper.map(m => m.fruit)).toEqual([ 'banana', 'orange', 'apple' ]);
+			expect(recordedEvents.length).toBe(0);
+		});
+
+		it("emits no event on move in sorted collection", () => {
+			wrapper = new CollectionWrapper(collection, {
+				compare: (a, b) => a.fruit.localeCompare(b.fruit)
+			});
+			attachRecorder();
+			collection.move(10, 3);
+			jest.runAllTimers();
+			expect(wrapper.map(m => m.fruit)).toEqual([ 'apple', 'banana', 'orange', 'pineapple' ]);
+			expect(recordedEvents.length).toBe(0);
+		});
+
+		test.each([
+			[ 1, 3, 0, 2, [ 'orange', 'banana' ]],
+			[ 1, 3, 2, 1, [ 'orange', 'pineapple' ]],
+			[ 1, 3, 0, 3, [ 'orange', 'apple' ]],
+			[ 1, 3, 3, 0, [ 'banana', 'pineapple' ]],
+			[ 1, 3, 3, 2, [ 'pineapple', 'apple' ]],
+			[ 0, 2, 3, 1, [ 'banana', 'apple' ]],
+			[ -2, null, 0, 3, [ 'apple', 'banana' ]],
+			[ -2, null, 3, 0, [ 'pineapple', 'orange' ]],
+		])("given opt.begin=%i, and opt.end=%p, with move from idx=%i to idx=%i, mapped fruits equals %p", (begin, end, from, to, expected) => {
+			wrapper = new CollectionWrapper(collection, {
+				begin,
+				end
+			});
+			attachRecorder();
+			let arr = wrapper.toArray();
+			collection.move(collection.atIndex(from).id, to);
+			jest.runAllTimers();
+			try {
+				expect(wrapper.map(m => m.fruit)).toEqual(expected);
+				for (let e of recordedEvents) {
+					switch (e.event) {
+						case 'add':
+							expect(e.idx >= 0 && e.idx <= arr.length).toBe(true);
+							arr.splice(e.idx, 0, e.item);
+							break;
+						case 'remove':
+							expect(e.idx >= 0 && e.idx < arr.length).toBe(true);
+							expect(e.item.fruit).toBe(arr[e.idx].fruit);
+							arr.splice(e.idx, 1);
+							break;
+						case 'move':
+							expect(e.item.fruit).toBe(arr[e.from].fruit);
+							arr.splice(e.to, 0, arr.splice(e.from, 1)[0]);
+							break;
+					}
+				}
+				expect(arr.map(m => m.fruit)).toEqual(expected);
+			} catch (err) {
+				err.message = `${err.message}\n\nevents:\n\t${JSON.stringify(recordedEvents.map(e => ({ event: e.event, idx: e.idx, from: e.from, to: e.to, fruit: e.item.fruit })), null, 2)}`;
+				throw err;
+			}
+		});
+	});
+
+	describe("opt.moveEvents", () => {
+		it("emits move event on model change affecting sorting", () => {
+			wrapper = new CollectionWrapper(collection, {
+				compare: (a, b) => a.fruit.localeCompare(b.fruit),
+				moveEvents: true
+			});
+			attachRecorder();
+			collection.get(10).set({ fruit: 'passionfruit' });
+			jest.runAllTimers();
+			expect(wrapper.map(m => m.fruit)).toEqual([ 'apple', 'orange', 'passionfruit', 'pineapple' ]);
+			expect(recordedEvents).toMatchObject([{ event: 'move', from: 1, to: 2, item: collection.get(10) }]);
+		});
+
+		it("emits remove and add events on change replacing mapped value", () => {
+			wrapper = new CollectionWrapper(collection, {
+				map: m => m.fruit,
+				compare: (a, b) => a.localeCompare(b),
+				moveEvents: true
+			});
+			attachRecorder();
+			collection.get(10).set({ fruit: 'passionfruit' });
+			jest.runAllTimers();
+			expect(wrapper.toArray()).toEqual([ 'apple', 'orange', 'passionfruit', 'pineapple' ]);
+			expect(recordedEvents).toMatchObject([
+				{ event: 'remove', idx: 1, item: 'banana' },
+				{ event: 'add', idx: 2, item: 'passionfruit' }
+			]);
+		});
+
+		test.each([
+			[ 1, 3, 10, 'peach', [ 'orange', 'peach' ], 1 ],
+			[ 1, 3, 30, 'avocado', [ 'avocado', 'banana' ], 1 ],
+			[ 1, 3, 10, 'aaa', [ 'apple', 'orange' ], 0 ],
+			[ 1, 3, 10, 'zucchini', [ 'orange', 'pineapple' ], 0 ],
+			[ 1, 3, 40, 'cherry', [ 'cherry', 'orange' ], 0 ],
+			[ 1, 3, 20, 'aaa', [ 'apple', 'banana' ], 0 ],
+			[ 0, 2, 40, 'blueberry', [ 'banana', 'blueberry' ], 1 ],
+			[ 0, null, 20, 'aaa', [ 'aaa', 'apple', 'banana', 'orange' ], 1 ],
+		])("given opt.begin=%i, and opt.end=%p, with id=%i changed to %p, mapped fruits equals %p with %i move events", (begin, end, id, fruit, expected, moves) => {
+			wrapper = new CollectionWrapper(collection, {
+				compare: (a, b) => a.fruit.localeCompare(b.fruit),
+				moveEvents: true,
+				begin,
+				end
+			});
+			attachRecorder();
+			let arr = wrapper.toArray();
+			collection.get(id).set({ fruit });
+			jest.runAllTimers();
+			expect(wrapper.map(m => m.fruit)).toEqual(expected);
+			expect(recordedEvents.filter(e => e.event == 'move').length).toBe(moves);
+			for (let e of recordedEvents) {
+				switch (e.event) {
+					case 'add':
+						arr.splice(e.idx, 0, e.item);
+						break;
+					case 'remove':
+						expect(e.item).toBe(arr[e.idx]);
+						arr.splice(e.idx, 1);
+						break;
+					case 'move':
+						expect(e.item).toBe(arr[e.from]);
+						arr.splice(e.to, 0, arr.splice(e.from, 1)[0]);
+						break;
+				}
+			}
+			expect(arr.map(m => m.fruit)).toEqual(expected);
+		});
+	});
+
+	describe("large collection", () => {
+		it("keeps index lookups consistent on changes", () => {
+			let fruits = [ 'banana', 'pineapple', 'orange', 'apple', 'kiwi', 'passionfruit', 'mango' ];
+			collection = new Collection({
+				modelFactory: item => new Model({ data: item }),
+				data: Array.from({ length: 300 }, (v, i) => ({ id: i, fruit: fruits[i % fruits.length], n: (i * 37) % 101 }))
+			});
+			wrapper = new CollectionWrapper(collection, {
+				filter: m => m.fruit.length <= 6,
+				compare: (a, b) => a.n - b.n,
+				begin: 10,
+				end: -10
+			});
+			attachRecorder();
+			let arr = wrapper.toArray();
+			for (let i = 0; i < 300; i += 7) {
+				collection.get(i).set({ fruit: fruits[(i * 3) % fruits.length], n: (i * 53) % 101 });
+				jest.runAllTimers();
+			}
+			for (let i = 1; i < 300; i += 31) {
+				collection.remove(i);
+			}
+			jest.runAllTimers();
+
+			let expected = collection.toArray()
+				.filter(m => m.fruit.length <= 6)
+				.sort((a, b) => a.n - b.n)
+				.slice(10, -10);
+			expect(wrapper.toArray().map(m => m.n)).toEqual(expected.map(m => m.n));
+			expect(wrapper.length).toBe(expected.length);
+			wrapper.toArray().forEach((m, i) => {
+				expect(wrapper.atIndex(i)).toBe(m);
+				expect(wrapper.indexOf(m)).toBe(i);
+			});
+			for (let e of recordedEvents) {
+				if (e.event == 'add') {
+					arr.splice(e.idx, 0, e.item);
+				} else if (e.event == 'remove') {
+					expect(e.item).toBe(arr[e.idx]);
+					arr.splice(e.idx, 1);
+				}
+			}
+			expect(arr).toEqual(wrapper.toArray());
+		});
+	});
+
 	describe("iterator", () => {
 		it("iterates over each item in collection", () => {
 			wrapper = new CollectionWrapper(collection);
@@ -857,6 +1102,149 @@ describe("CollectionWrapper", () => {
 		});
 	});
 
+	describe("option setters", () => {
+		let fruitCompare = (a, b) => a.fruit.localeCompare(b.fruit);
+		let shortFilter = m => m.fruit.length <= 6;
+
+		test.each([
+			[ 'setCompare', {}, [ fruitCompare ], [ 'apple', 'banana', 'orange', 'pineapple' ]],
+			[ 'setCompare', { compare: fruitCompare }, [ null ], [ 'banana', 'pineapple', 'orange', 'apple' ]],
+			[ 'setCompare', { compare: fruitCompare, begin: 1, end: 3 }, [ (a, b) => b.fruit.localeCompare(a.fruit) ], [ 'orange', 'banana' ]],
+			[ 'setFilter', {}, [ shortFilter ], [ 'banana', 'orange', 'apple' ]],
+			[ 'setFilter', { filter: shortFilter }, [ m => m.fruit.length > 5 ], [ 'banana', 'pineapple', 'orange' ]],
+			[ 'setFilter', { filter: shortFilter, compare: fruitCompare }, [ null ], [ 'apple', 'banana', 'orange', 'pineapple' ]],
+			[ 'setMap', {}, [ m => ({ fruit: m.fruit.toUpperCase() }) ], [ 'BANANA', 'PINEAPPLE', 'ORANGE', 'APPLE' ]],
+			[ 'setRange', {}, [ 1, 3 ], [ 'pineapple', 'orange' ]],
+			[ 'setRange', { begin: 1, end: 3 }, [ -2 ], [ 'orange', 'apple' ]],
+			[ 'setRange', { filter: shortFilter }, [ 0, -1 ], [ 'banana', 'orange' ]],
+		])("%s with initial options %p and arguments %p, mapped fruits equals %p", (method, opt, args, expected) => {
+			wrapper = new CollectionWrapper(collection, opt);
+			attachRecorder();
+			let arr = wrapper.toArray();
+			wrapper[method](...args);
+			jest.runAllTimers();
+			try {
+				expect(wrapper.map(m => m.fruit)).toEqual(expected);
+				expect(wrapper.length).toEqual(expected.length);
+				for (let e of recordedEvents) {
+					switch (e.event) {
+						case 'add':
+							expect(e.idx >= 0 && e.idx <= arr.length).toBe(true);
+							arr.splice(e.idx, 0, e.item);
+							break;
+						case 'remove':
+							expect(e.idx >= 0 && e.idx < arr.length).toBe(true);
+							expect(e.item).toBe(arr[e.idx]);
+							arr.splice(e.idx, 1);
+							break;
+					}
+				}
+				expect(arr.map(m => m.fruit)).toEqual(expected);
+			} catch (err) {
+				err.message = `${err.message}\n\nevents:\n\t${JSON.stringify(recordedEvents.map(e => ({ event: e.event, idx: e.idx, fruit: e.item.fruit })), null, 2)}`;
+				throw err;
+			}
+		});
+
+		describe("large collections", () => {
+			let large;
+
+			beforeEach(() => {
+				let data = [];
+				for (let i = 0; i < 2000; i++) {
+					data.push({ id: i, n: (i * 7919) % 2000 });
+				}
+				large = new Collection({ data });
+			});
+
+			function replay(arr) {
+				for (let e of recordedEvents) {
+					switch (e.event) {
+						case 'add':
+							expect(e.idx >= 0 && e.idx <= arr.length).toBe(true);
+							arr.splice(e.idx, 0, e.item);
+							break;
+						case 'remove':
+							expect(e.item).toBe(arr[e.idx]);
+							arr.splice(e.idx, 1);
+							break;
+						case 'move':
+							expect(e.item).toBe(arr[e.from]);
+							arr.splice(e.to, 0, arr.splice(e.from, 1)[0]);
+							break;
+					}
+				}
+				return arr;
+			}
+
+			it("emits move events on setCompare", () => {
+				wrapper = new CollectionWrapper(large, { compare: (a, b) => a.n - b.n });
+				attachRecorder();
+				let arr = wrapper.toArray();
+				wrapper.setCompare((a, b) => b.n - a.n);
+				jest.runAllTimers();
+				expect(wrapper.map(m => m.n)).toEqual(arr.map(m => m.n).reverse());
+				expect(recordedEvents.every(e => e.event == 'move')).toBe(true);
+				expect(recordedEvents.length).toBe(1999);
+				expect(replay(arr)).toEqual(wrapper.toArray());
+			});
+
+			it("emits add, remove, and move events on setFilter with a compare function", () => {
+				wrapper = new CollectionWrapper(large, { filter: m => m.n % 3 > 0, compare: (a, b) => a.id - b.id });
+				attachRecorder();
+				let arr = wrapper.toArray();
+				wrapper.setFilter(m => m.n % 2 > 0);
+				wrapper.setCompare((a, b) => a.n - b.n || a.id - b.id);
+				jest.runAllTimers();
+				expect(replay(arr)).toEqual(wrapper.toArray());
+			});
+
+			it("emits only add and remove events on setFilter without a compare function", () => {
+				wrapper = new CollectionWrapper(large, { filter: m => m.n % 3 > 0 });
+				attachRecorder();
+				let arr = wrapper.toArray();
+				wrapper.setFilter(m => m.n % 2 > 0);
+				jest.runAllTimers();
+				let added = recordedEvents.filter(e => e.event == 'add').length;
+				let removed = recordedEvents.filter(e => e.event == 'remove').length;
+				expect(added).toBe(wrapper.toArray().filter(m => m.n % 3 == 0).length);
+				expect(removed).toBe(arr.filter(m => m.n % 2 == 0).length);
+				expect(replay(arr)).toEqual(wrapper.toArray());
+			});
+		});
+
+		it("emits only events for items changing visibility on setFilter", () => {
+			wrapper = new CollectionWrapper(collection, { filter: shortFilter });
+			attachRecorder();
+			wrapper.setFilter(m => m.fruit.length <= 5);
+			jest.runAllTimers();
+			expect(wrapper.map(m => m.fruit)).toEqual([ 'apple' ]);
+			expect(recordedEvents).toMatchObject([
+				{ event: 'remove', idx: 1 },
+				{ event: 'remove', idx: 0 }
+			]);
+		});
+
+		it("listens to model changes after setFilter", () => {
+			wrapper = new CollectionWrapper(collection);
+			wrapper.setFilter(shortFilter);
+			attachRecorder();
+			collection.get(20).set({ fruit: 'kiwi' });
+			jest.runAllTimers();
+			expect(wrapper.map(m => m.fruit)).toEqual([ 'banana', 'kiwi', 'orange', 'apple' ]);
+			expect(recordedEvents).toMatchObject([{ event: 'add', idx: 1 }]);
+		});
+
+		it("emits no events when setting the same option", () => {
+			wrapper = new CollectionWrapper(collection, { filter: shortFilter });
+			attachRecorder();
+			wrapper.setFilter(shortFilter);
+			wrapper.setRange(0, null);
+			jest.runAllTimers();
+			expect(recordedEvents.length).toBe(0);
+		});
+	});
+
 	describe("setCollection", () => {
 		describe("emits remove and add events", () => {
 			test.each([
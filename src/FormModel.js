@@ -0,0 +1,194 @@
+import Model from './Model';
+import ModifyModel from './ModifyModel';
+import { validate, ValidationError } from './validation';
+
+/**
+ * FormModel handles the state of a form editing a model, using a
+ * {@link ModifyModel} for the field values.
+ *
+ * It tracks which fields are focused and which have been touched, and the
+ * submit lifecycle. Fields are validated on change using the field
+ * definitions and the optional validate callback.
+ *
+ * The form is itself a model with the properties isSubmitting, submitCount,
+ * and canSubmit.
+ *
+ * Because FormModel listens to the model, it needs to be disposed when not
+ * used anymore.
+ * @implements {module:modapp~Model}
+ */
+class FormModel extends Model {
+
+	/**
+	 * Creates a FormModel instance.
+	 * @param {object} model Model object with the values to edit.
+	 * @param {object} [opt] Optional parameters.
+	 * @param {object.<string, string|validation~PropertyDefinition>} [opt.fields] Field definitions used to validate the values.
+	 * @param {ModifyModel~validateCallback} [opt.validate] Callback validating the values on change, in addition to the field definitions.
+	 * @param {string} [opt.namespace] Event bus namespace. Defaults to 'formModel'.
+	 * @param {module:modapp~EventBus} [opt.eventBus] Event bus.
+	 */
+	constructor(model, opt = {}) {
+		let namespace = opt.namespace || 'formModel';
+		super({
+			data: { isSubmitting: false, submitCount: 0, canSubmit: false },
+			namespace,
+			eventBus: opt.eventBus
+		});
+
+		this._fields = opt.fields || null;
+		this._validateCb = opt.validate || null;
+		this._modify = new ModifyModel(model, {
+			namespace: namespace + '.modify',
+			eventBus: this._eventBus,
+			validate: this._fields || this._validateCb ? this._validateValues.bind(this) : null
+		});
+		this._touched = new Model({ namespace: namespace + '.touched', eventBus: this._eventBus, internal: true });
+		this._focused = new Model({ namespace: namespace + '.focused', eventBus: this._eventBus, internal: true });
+
+		// Bind callbacks
+		this._setState = this._setState.bind(this);
+
+		this._modify.on('change validating', this._setState);
+		this._modify.errors.on('change', this._setState);
+	}
+
+	/**
+	 * ModifyModel holding the field values.
+	 * @type {ModifyModel}
+	 */
+	get modify() {
+		return this._modify;
+	}
+
+	/**
+	 * Model with the error message of each invalid field.
+	 * @type {Model}
+	 */
+	get errors() {
+		return this._modify.errors;
+	}
+
+	/**
+	 * Model with a property set to true for each field that has been
+	 * touched, by losing focus or by submitting the form.
+	 * @type {Model}
+	 */
+	get touched() {
+		return this._touched;
+	}
+
+	/**
+	 * Model with a property set to true for the focused field.
+	 * @type {Model}
+	 */
+	get focused() {
+		return this._focused;
+	}
+
+	/**
+	 * Sets a field as focused.
+	 * @param {string} field Field name.
+	 */
+	focus(field) {
+		this._focused.reset({ [field]: true });
+	}
+
+	/**
+	 * Removes focus from a field, setting it as touched.
+	 * @param {string} field Field name.
+	 */
+	blur(field) {
+		this._focused.set({ [field]: undefined });
+		this._touched.set({ [field]: true });
+	}
+
+	/**
+	 * Submits the form by validating the fields and committing the
+	 * modifications through the handler. All fields are set as touched.
+	 *
+	 * If the handler rejects with a ValidationError, or with an object of
+	 * error messages with the field name as key, the messages are set as
+	 * errors.
+	 * @param {function} [handler] Callback saving the modifications: function(modifications) -> Promise. Defaults to setting them on the underlying model.
+	 * @returns {Promise} Promise to the submit. Resolves to null if there were no modifications.
+	 */
+	submit(handler) {
+		if (this.props.isSubmitting) {
+			return Promise.reject(new Error("Form is already submitting."));
+		}
+
+		let touched = {};
+		for (let k of Object.keys(this._fields || {}).concat(Object.keys(this._modify.getModifications() || {}))) {
+			touched[k] = true;
+		}
+		this._touched.set(touched);
+		this._update({ submitCount: this.props.submitCount + 1 }, true);
+		this._setSubmitting(true);
+
+		// Validate all fields, as untouched fields may not have been validated
+		this._modify.validate().catch(() => {});
+		return this._modify.commit(handler).then(result => {
+			this._setSubmitting(false);
+			return result;
+		}, err => {
+			let errors = err instanceof ValidationError
+				? err.errors
+				: err && typeof err == 'object' && !(err instanceof Error)
+					? err
+					: null;
+			if (errors) {
+				this._modify.setErrors(errors);
+			}
+			this._setSubmitting(false);
+			throw err;
+		});
+	}
+
+	_validateValues(props, mods) {
+		let errors = this._fields ? validate(this._fields, props, null, true) : null;
+		let custom = this._validateCb ? this._validateCb(props, mods) : null;
+		if (!isPromise(errors) && !isPromise(custom)) {
+			return mergeErrors(errors, custom);
+		}
+		return Promise.all([ errors, custom ]).then(result => mergeErrors(result[0], result[1]));
+	}
+
+	_setSubmitting(isSubmitting) {
+		this._update({ isSubmitting }, true);
+		this._setState();
+	}
+
+	_setState() {
+		if (!this._modify) {
+			return;
+		}
+		let p = this._props;
+		this._update({
+			canSubmit: !p.isSubmitting &&
+				!!this._modify.isModified &&
+				!this._modify.validating &&
+				!Object.keys(this._modify.errors.props).length
+		}, true);
+	}
+
+	dispose() {
+		if (this._modify) {
+			this._modify.off('change validating', this._setState);
+			this._modify.errors.off('change', this._setState);
+			this._modify.dispose();
+			this._modify = null;
+		}
+	}
+}
+
+function isPromise(v) {
+	return !!v && typeof v.then == 'function';
+}
+
+// Merges error objects, with errors in a taking precedence.
+function mergeErrors(a, b) {
+	return a || b ? Object.assign({}, b, a) : null;
+}
+
+export default FormModel;
@@ -0,0 +1,154 @@
+import Model from './Model';
+import FormModel from './FormModel';
+import { ValidationError } from './validation';
+import eventBus from 'modapp-eventbus';
+
+describe("FormModel", () => {
+	let model;
+	let form;
+
+	jest.useFakeTimers();
+
+	beforeEach(() => {
+		// Clear eventbus listeners
+		eventBus._evs = {};
+
+		model = new Model({ data: { name: 'Jane', email: 'jane@example.com', age: 42 }});
+		form = new FormModel(model, {
+			fields: {
+				name: { type: 'string', required: true },
+				email: { type: 'string', pattern: /@/ }
+			}
+		});
+	});
+
+	afterEach(() => {
+		jest.runAllTimers();
+		form.dispose();
+		jest.runAllTimers();
+		// Validate we dont have any undisposed listeners
+		expect(Object.keys(eventBus._evs)).toEqual([]);
+	});
+
+	it("has initial state", () => {
+		expect(form.props).toEqual({ isSubmitting: false, submitCount: 0, canSubmit: false });
+		expect(form.modify.props.name).toBe('Jane');
+		expect(form.touched.props).toEqual({});
+		expect(form.focused.props).toEqual({});
+		expect(form.errors.props).toEqual({});
+	});
+
+	it("tracks focused and touched fields", () => {
+		form.focus('name');
+		expect(form.focused.props).toEqual({ name: true });
+		form.focus('email');
+		expect(form.focused.props).toEqual({ email: true });
+		form.blur('email');
+		expect(form.focused.props).toEqual({});
+		expect(form.touched.props).toEqual({ email: true });
+	});
+
+	it("validates fields on change", () => {
+		form.modify.set({ name: '', email: 'jane' });
+		expect(form.errors.props).toEqual({ name: "Required.", email: "Invalid format." });
+		form.modify.set({ name: 'John', email: 'john@example.com' });
+		expect(form.errors.props).toEqual({});
+	});
+
+	it("combines field validation with the validate callback", () => {
+		form.dispose();
+		form = new FormModel(model, {
+			fields: { name: { type: 'string', required: true }},
+			validate: p => Promise.resolve(p.age < 18 ? { age: "Too young.", name: "Ignored." } : null)
+		});
+		form.modify.set({ name: '', age: 17 });
+		return form.modify.validate().then(() => {
+			expect(form.errors.props).toEqual({ name: "Required.", age: "Too young." });
+		});
+	});
+
+	it("sets canSubmit when modified and valid", () => {
+		form.modify.set({ name: 'John' });
+		jest.runAllTimers();
+		expect(form.canSubmit).toBe(true);
+		form.modify.set({ name: '' });
+		jest.runAllTimers();
+		expect(form.canSubmit).toBe(false);
+	});
+
+	it("submits by committing to the underlying model", () => {
+		form.modify.set({ name: 'John' });
+		let promise = form.submit();
+		expect(form.isSubmitting).toBe(true);
+		expect(form.canSubmit).toBe(false);
+		expect(form.submitCount).toBe(1);
+		expect(form.touched.props).toEqual({ name: true, email: true });
+		return promise.then(() => {
+			jest.runAllTimers();
+			expect(model.name).toBe('John');
+			expect(form.isSubmitting).toBe(false);
+			expect(form.modify.isModified).toBe(false);
+			expect(form.canSubmit).toBe(false);
+		});
+	});
+
+	it("submits through the handler", () => {
+		let handler = jest.fn(mods => Promise.resolve(model.set(mods)));
+		form.modify.set({ name: 'John' });
+		return form.submit(handler).then(() => {
+			expect(handler).toHaveBeenCalledWith({ name: 'John' });
+			expect(model.name).toBe('John');
+		});
+	});
+
+	it("keeps modifications until the underlying model is updated after submit through the handler", () => {
+		form.modify.set({ name: 'John' });
+		return form.submit(() => Promise.resolve()).then(() => {
+			expect(form.modify.name).toBe('John');
+			expect(form.modify.isModified).toBe(true);
+			model.set({ name: 'John' });
+			jest.runAllTimers();
+			expect(form.modify.isModified).toBe(false);
+		});
+	});
+
+	it("maps rejected field errors onto the errors model", () => {
+		form.modify.set({ name: 'John' });
+		let err = { name: "Already taken." };
+		return form.submit(() => Promise.reject(err)).then(() => {
+			throw new Error("Expected rejection");
+		}, e => {
+			expect(e).toBe(err);
+			expect(form.errors.props).toEqual({ name: "Already taken." });
+			expect(form.isSubmitting).toBe(false);
+			expect(form.modify.isModified).toBe(true);
+		});
+	});
+
+	it("refuses to submit with invalid fields", () => {
+		form.modify.set({ email: 'jane' });
+		let handler = jest.fn();
+		return form.submit(handler).then(() => {
+			throw new Error("Expected rejection");
+		}, err => {
+			expect(err).toBeInstanceOf(ValidationError);
+			expect(handler).not.toHaveBeenCalled();
+			expect(form.errors.props).toEqual({ email: "Invalid format." });
+			expect(form.submitCount).toBe(1);
+		});
+	});
+
+	it("validates untouched fields on submit", () => {
+		model = new Model({ data: { name: '', email: 'jane@example.com' }});
+		form.dispose();
+		form = new FormModel(model, { fields: { name: { type: 'string', required: true }}});
+		form.modify.set({ email: 'john@example.com' });
+		return expect(form.submit()).rejects.toBeInstanceOf(ValidationError);
+	});
+
+	it("rejects submit while submitting", () => {
+		form.modify.set({ name: 'John' });
+		let promise = form.submit();
+		return expect(form.submit()).rejects.toThrow().then(() => promise);
+	});
+});
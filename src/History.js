@@ -0,0 +1,215 @@
+import Model from './Model';
+import ModifyModel from './ModifyModel';
+import { getProps } from './utils';
+
+/**
+ * History records the changes of a model, allowing them to be undone and
+ * redone.
+ *
+ * Changes emitted in a single change event, such as those made within a
+ * batch, are recorded as a single step. Consecutive changes made within the
+ * delay are also grouped into a single step.
+ *
+ * The history is itself a model with the properties canUndo and canRedo.
+ *
+ * Because History listens to the model, it needs to be disposed when not used
+ * anymore.
+ * @implements {module:modapp~Model}
+ */
+class History extends Model {
+
+	/**
+	 * Creates a History instance.
+	 * @param {object} model Model object with on, off, and set methods.
+	 * @param {object} [opt] Optional parameters.
+	 * @param {number} [opt.delay] Milliseconds within which consecutive changes are grouped into a single step. Defaults to 0.
+	 * @param {?number} [opt.limit] Maximum number of steps that can be undone. Defaults to 100. Null means no limit.
+	 * @param {Array.<string>} [opt.ignore] Properties not to record. Defaults to the isModified property of a ModifyModel.
+	 * @param {string} [opt.namespace] Event bus namespace. Defaults to 'history'.
+	 * @param {module:modapp~EventBus} [opt.eventBus] Event bus.
+	 */
+	constructor(model, opt = {}) {
+		super({
+			data: { canUndo: false, canRedo: false },
+			namespace: opt.namespace || 'history',
+			eventBus: opt.eventBus
+		});
+
+		this._model = model;
+		this._delay = opt.delay || 0;
+		this._limit = opt.hasOwnProperty('limit') ? opt.limit : 100;
+		this._ignore = opt.ignore || (model instanceof ModifyModel && model._modProp ? [ model._modProp ] : []);
+		this._undo = [];
+		this._redo = [];
+		// Values set by undo or redo, whose change events should not be recorded.
+		this._pending = [];
+
+		// Bind callbacks
+		this._onChange = this._onChange.bind(this);
+
+		this._model.on('change', this._onChange);
+	}
+
+	/**
+	 * Get the model whose changes are recorded.
+	 * @returns {object} Model
+	 */
+	getModel() {
+		return this._model;
+	}
+
+	/**
+	 * Undoes the last recorded step by setting the properties to their old
+	 * values.
+	 * @returns {Promise} Promise to the setting of the properties. Resolves to false if there was nothing to undo.
+	 */
+	undo() {
+		let step = this._undo.pop();
+		if (!step) {
+			return Promise.resolve(false);
+		}
+		this._redo.push(step);
+		this._setState();
+		return this._apply(step.o);
+	}
+
+	/**
+	 * Redoes the last undone step by setting the properties to their new
+	 * values.
+	 * @returns {Promise} Promise to the setting of the properties. Resolves to false if there was nothing to redo.
+	 */
+	redo() {
+		let step = this._redo.pop();
+		if (!step) {
+			return Promise.resolve(false);
+		}
+		this._undo.push(step);
+		this._setState();
+		return this._apply(step.n);
+	}
+
+	/**
+	 * Clears all recorded steps.
+	 */
+	clear() {
+		this._undo = [];
+		this._redo = [];
+		this._setState();
+	}
+
+	_apply(values) {
+		this._pending.push(values);
+		return Promise.resolve(this._model.set(values)).then(changed => {
+			// No change event will be emitted if nothing changed.
+			if (!changed) {
+				this._removePending(values);
+			}
+			return changed;
+		}, err => {
+			this._removePending(values);
+			throw err;
+		});
+	}
+
+	_removePending(values) {
+		let i = this._pending.indexOf(values);
+		if (i >= 0) {
+			this._pending.splice(i, 1);
+		}
+	}
+
+	_setState() {
+		this._update({
+			canUndo: this._undo.length > 0,
+			canRedo: this._redo.length > 0
+		}, true);
+	}
+
+	_onChange(change, m) {
+		if (m !== this._model) {
+			return;
+		}
+
+		let p = getProps(m);
+		let o = null;
+		let n = {};
+		for (let k in change) {
+			if (this._ignore.indexOf(k) === -1) {
+				o = o || {};
+				o[k] = change[k];
+				n[k] = p[k];
+			}
+		}
+		if (!o) {
+			return;
+		}
+
+		// Skip changes caused by undo or redo
+		for (let i = 0; i < this._pending.length; i++) {
+			let values = this._pending[i];
+			if (Object.keys(values).every(k => n.hasOwnProperty(k) && n[k] === values[k])) {
+				this._pending.splice(i, 1);
+				return;
+			}
+		}
+
+		this._patchNew(o);
+
+		let now = Date.now();
+		let last = this._undo[this._undo.length - 1];
+		if (last && this._delay && !this._redo.length && now - last.t <= this._delay) {
+			this._merge(last, o, n);
+			last.t = now;
+		} else {
+			this._undo.push({ o, n, t: now });
+			if (this._limit !== null && this._undo.length > this._limit) {
+				this._undo.shift();
+			}
+		}
+		this._redo = [];
+		this._setState();
+	}
+
+	// Sets the new values of the latest steps recording the changed
+	// properties to the old values of the change. The new values are read
+	// from the model when the change event is handled, and may include later
+	// changes whose events were still pending.
+	_patchNew(o) {
+		for (let k in o) {
+			for (let i = this._undo.length - 1; i >= 0; i--) {
+				let step = this._undo[i];
+				if (step.n.hasOwnProperty(k)) {
+					step.n[k] = o[k];
+					break;
+				}
+			}
+		}
+	}
+
+	// Merges a change into a step, keeping the step's old values. If all
+	// values are set back, the step is removed.
+	_merge(step, o, n) {
+		for (let k in o) {
+			if (!step.o.hasOwnProperty(k)) {
+				step.o[k] = o[k];
+			}
+			step.n[k] = n[k];
+			if (step.o[k] === step.n[k]) {
+				delete step.o[k];
+				delete step.n[k];
+			}
+		}
+		if (!Object.keys(step.o).length) {
+			this._undo.pop();
+		}
+	}
+
+	dispose() {
+		if (this._model) {
+			this._model.off('change', this._onChange);
+			this._model = null;
+		}
+	}
+}
+
+export default History;
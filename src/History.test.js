@@ -0,0 +1,204 @@
+import Model from './Model';
+import ModifyModel from './ModifyModel';
+import History from './History';
+import eventBus from 'modapp-eventbus';
+
+describe("History", () => {
+	let model;
+	let history;
+
+	jest.useFakeTimers();
+
+	beforeEach(() => {
+		// Clear eventbus listeners
+		eventBus._evs = {};
+
+		model = new Model({ data: { id: 10, fruit: 'banana', color: 'yellow' }});
+		history = new History(model);
+	});
+
+	afterEach(() => {
+		jest.runAllTimers();
+		if (history) {
+			history.dispose();
+			history = null;
+		}
+		// Validate we dont have any undisposed listeners
+		expect(Object.keys(eventBus._evs)).toEqual([]);
+	});
+
+	it("has nothing to undo or redo initially", () => {
+		expect(history.canUndo).toBe(false);
+		expect(history.canRedo).toBe(false);
+	});
+
+	it("undoes a change", () => {
+		model.set({ fruit: 'apple' });
+		jest.runAllTimers();
+		expect(history.canUndo).toBe(true);
+		history.undo();
+		jest.runAllTimers();
+		expect(model.fruit).toBe('banana');
+		expect(history.canUndo).toBe(false);
+		expect(history.canRedo).toBe(true);
+	});
+
+	it("redoes an undone change", () => {
+		model.set({ fruit: 'apple' });
+		jest.runAllTimers();
+		history.undo();
+		jest.runAllTimers();
+		history.redo();
+		jest.runAllTimers();
+		expect(model.fruit).toBe('apple');
+		expect(history.canUndo).toBe(true);
+		expect(history.canRedo).toBe(false);
+	});
+
+	it("undoes and redoes multiple steps in order", () => {
+		model.set({ fruit: 'apple' });
+		jest.runAllTimers();
+		model.set({ fruit: 'orange', color: 'orange' });
+		jest.runAllTimers();
+		history.undo();
+		jest.runAllTimers();
+		expect(model.props).toMatchObject({ fruit: 'apple', color: 'yellow' });
+		history.undo();
+		jest.runAllTimers();
+		expect(model.props).toMatchObject({ fruit: 'banana', color: 'yellow' });
+		history.redo();
+		jest.runAllTimers();
+		history.redo();
+		jest.runAllTimers();
+		expect(model.props).toMatchObject({ fruit: 'orange', color: 'orange' });
+	});
+
+	it("records the new values of changes made before their events are handled", () => {
+		model.set({ fruit: 'apple' });
+		model.set({ fruit: 'orange', color: 'orange' });
+		jest.runAllTimers();
+		history.undo();
+		jest.runAllTimers();
+		history.undo();
+		jest.runAllTimers();
+		expect(model.props).toMatchObject({ fruit: 'banana', color: 'yellow' });
+		history.redo();
+		jest.runAllTimers();
+		expect(model.props).toMatchObject({ fruit: 'apple', color: 'yellow' });
+		history.redo();
+		jest.runAllTimers();
+		expect(model.props).toMatchObject({ fruit: 'orange', color: 'orange' });
+	});
+
+	it("undoes an added property by deleting it", () => {
+		model.set({ kiwi: true });
+		jest.runAllTimers();
+		history.undo();
+		jest.runAllTimers();
+		expect(model.props.hasOwnProperty('kiwi')).toBe(false);
+	});
+
+	it("resolves to false if there is nothing to undo or redo", () => {
+		return Promise.all([ history.undo(), history.redo() ]).then(result => {
+			expect(result).toEqual([ false, false ]);
+		});
+	});
+
+	it("clears redo steps on a new change", () => {
+		model.set({ fruit: 'apple' });
+		jest.runAllTimers();
+		history.undo();
+		jest.runAllTimers();
+		model.set({ color: 'green' });
+		jest.runAllTimers();
+		expect(history.canRedo).toBe(false);
+		history.undo();
+		jest.runAllTimers();
+		expect(model.props).toMatchObject({ fruit: 'banana', color: 'yellow' });
+		expect(history.canUndo).toBe(false);
+	});
+
+	it("groups changes made in a batch into a single step", () => {
+		model.batch(() => {
+			model.set({ fruit: 'apple' });
+			model.set({ color: 'green' });
+		});
+		jest.runAllTimers();
+		history.undo();
+		jest.runAllTimers();
+		expect(model.props).toMatchObject({ fruit: 'banana', color: 'yellow' });
+		expect(history.canUndo).toBe(false);
+	});
+
+	it("groups changes made within the delay into a single step", () => {
+		history.dispose();
+		history = new History(model, { delay: 500 });
+		model.set({ fruit: 'apple' });
+		jest.advanceTimersByTime(400);
+		model.set({ fruit: 'orange', color: 'orange' });
+		jest.advanceTimersByTime(400);
+		model.set({ color: 'green' });
+		jest.advanceTimersByTime(1000);
+		model.set({ fruit: 'kiwi' });
+		jest.runAllTimers();
+		history.undo();
+		jest.runAllTimers();
+		expect(model.props).toMatchObject({ fruit: 'orange', color: 'green' });
+		history.undo();
+		jest.runAllTimers();
+		expect(model.props).toMatchObject({ fruit: 'banana', color: 'yellow' });
+		expect(history.canUndo).toBe(false);
+	});
+
+	it("removes a grouped step with all values set back", () => {
+		history.dispose();
+		history = new History(model, { delay: 500 });
+		model.set({ fruit: 'apple' });
+		jest.advanceTimersByTime(100);
+		model.set({ fruit: 'banana' });
+		jest.runAllTimers();
+		expect(history.canUndo).toBe(false);
+	});
+
+	it("limits the number of steps", () => {
+		history.dispose();
+		history = new History(model, { limit: 2 });
+		for (let fruit of [ 'apple', 'orange', 'kiwi' ]) {
+			model.set({ fruit });
+			jest.runAllTimers();
+		}
+		history.undo();
+		jest.runAllTimers();
+		history.undo();
+		jest.runAllTimers();
+		expect(model.fruit).toBe('apple');
+		expect(history.canUndo).toBe(false);
+	});
+
+	it("emits change event on state change", () => {
+		let cb = jest.fn();
+		history.on('change', cb);
+		model.set({ fruit: 'apple' });
+		jest.runAllTimers();
+		expect(cb).toHaveBeenCalledTimes(1);
+		expect(cb.mock.calls[0][0]).toEqual({ canUndo: false });
+		history.off('change', cb);
+	});
+
+	it("does not record isModified of a ModifyModel", () => {
+		history.dispose();
+		let modify = new ModifyModel(model);
+		history = new History(modify);
+		modify.set({ fruit: 'apple' });
+		jest.runAllTimers();
+		history.undo();
+		jest.runAllTimers();
+		expect(modify.fruit).toBe('banana');
+		expect(modify.isModified).toBe(false);
+		expect(history.canUndo).toBe(false);
+		expect(history.canRedo).toBe(true);
+		history.dispose();
+		history = null;
+		modify.dispose();
+	});
+});
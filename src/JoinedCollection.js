@@ -1,8 +1,11 @@
 import eventBus from 'modapp-eventbus';
+import { toArray } from './utils';
+import { observed } from './autorun';
 
 /**
  * Creates a single collection out of an array or collection of arrays or
- * collections, joining them one after the other.
+ * collections, joining them one after the other. It will transparently
+ * propagate emitted add, remove, and move events.
  */
 class JoinedCollection {
 
@@ -22,6 +25,7 @@ class JoinedCollection {
 		// Bind callbacks
 		this._onMainAdd = this._onMainAdd.bind(this);
 		this._onMainRemove = this._onMainRemove.bind(this);
+		this._onMainMove = this._onMainMove.bind(this);
 
 		this._subs = [];
 
@@ -37,6 +41,7 @@ class JoinedCollection {
 	 * Length of the joined collection.
 	 */
 	get length() {
+		observed(this, 'add remove move');
 		let l = 0;
 		for (let sub of this._subs) {
 			l += (sub.col && sub.col.length) || 0;
@@ -99,6 +104,7 @@ class JoinedCollection {
 	 * @returns {*} Item located at the given index.
 	 */
 	atIndex(idx) {
+		observed(this, 'add remove move');
 		if (this._collections && idx >= 0) {
 			let i = 0;
 			for (let sub of this._subs) {
@@ -121,22 +127,25 @@ class JoinedCollection {
 
 	_setListeners(on) {
 		let cb = on ? 'on' : 'off';
-		if (this._collections || typeof this._collections[cb] == 'function') {
+		if (!this._collections || typeof this._collections[cb] != 'function') {
 			return;
 		}
 		this._collections[cb]('add', this._onMainAdd);
 		this._collections[cb]('remove', this._onMainRemove);
+		this._collections[cb]('move', this._onMainMove);
 	}
 
 	_addSubListeners(c) {
-		if (!c || typeof c.on == 'function') {
+		if (!c || typeof c.on != 'function') {
 			return { col: c };
 		}
-		let sub = {};
+		let sub = { col: c };
 		sub.add = this._onSubAdd.bind(this, sub);
 		sub.remove = this._onSubRemove.bind(this, sub);
+		sub.move = this._onSubMove.bind(this, sub);
 		c.on('add', sub.add);
 		c.on('remove', sub.remove);
+		c.on('move', sub.move);
 		return sub;
 	}
 
@@ -145,6 +154,7 @@ class JoinedCollection {
 		if (c && typeof c.off == 'function') {
 			c.off('add', sub.add);
 			c.off('remove', sub.remove);
+			c.off('move', sub.move);
 		}
 	}
 
@@ -174,7 +184,7 @@ class JoinedCollection {
 
 		// Get the sub, remove it from our list, and stop listening to it.
 		let sub = this._subs[idx];
-		this._sub.splice(idx, 1);
+		this._subs.splice(idx, 1);
 		this._removeSubListeners(sub);
 		let c = sub.col;
 
@@ -190,6 +200,40 @@ class JoinedCollection {
 		}
 	}
 
+	_onMainMove(ev) {
+		let sub = this._subs[ev.from];
+		let from = this._getIdxStart(ev.from);
+		this._subs.splice(ev.from, 1);
+		this._subs.splice(ev.to, 0, sub);
+		let to = this._getIdxStart(ev.to);
+
+		let c = sub.col;
+		if (!c || !c.length || from === to) {
+			return;
+		}
+
+		// Move the items one at a time, keeping their internal order.
+		let items = toArray(c);
+		let l = items.length;
+		if (to > from) {
+			for (let item of items) {
+				this._eventBus.emit(this, this._namespace + '.move', {
+					item,
+					from,
+					to: to + l - 1
+				});
+			}
+		} else {
+			for (let i = l - 1; i >= 0; i--) {
+				this._eventBus.emit(this, this._namespace + '.move', {
+					item: items[i],
+					from: from + l - 1,
+					to
+				});
+			}
+		}
+	}
+
 	_onSubAdd(sub, ev) {
 		let i = this._getSubStart(sub);
 		this._eventBus.emit(this, this._namespace + '.add', {
@@ -206,6 +250,15 @@ class JoinedCollection {
 		});
 	}
 
+	_onSubMove(sub, ev) {
+		let i = this._getSubStart(sub);
+		this._eventBus.emit(this, this._namespace + '.move', {
+			item: ev.item,
+			from: i + ev.from,
+			to: i + ev.to
+		});
+	}
+
 	_getIdxStart(idx) {
 		let i = 0;
 		for (let j = 0; j < idx; j++) {
@@ -239,6 +292,7 @@ class JoinedCollection {
 	}
 
 	[Symbol.iterator]() {
+		observed(this, 'add remove move');
 		let done = { done: true };
 		if (!this._collections) {
 			return {
@@ -0,0 +1,167 @@
+import Collection from './Collection';
+import JoinedCollection from './JoinedCollection';
+import eventBus from 'modapp-eventbus';
+
+describe("JoinedCollection", () => {
+	let fruits;
+	let veggies;
+	let berries;
+	let ids;
+	let collections;
+	let joined;
+	let events;
+	let mirror;
+	let onEvent;
+
+	jest.useFakeTimers();
+
+	beforeEach(() => {
+		// Clear eventbus listeners
+		eventBus._evs = {};
+
+		fruits = new Collection({ data: [{ id: 'banana' }, { id: 'orange' }] });
+		veggies = new Collection({ data: [{ id: 'carrot' }, { id: 'potato' }, { id: 'leek' }] });
+		berries = new Collection({ data: [{ id: 'cherry' }] });
+		ids = new Map([[ fruits, 'fruits' ], [ veggies, 'veggies' ], [ berries, 'berries' ]]);
+		collections = new Collection({
+			data: [ fruits, veggies ],
+			idAttribute: c => ids.get(c)
+		});
+		joined = new JoinedCollection(collections);
+		events = [];
+		mirror = Array.from(joined);
+		onEvent = jest.fn((ev, target, event) => {
+			let action = event.replace('joinedCollection.', '');
+			events.push([ action, ev ]);
+			// Replay the event on the mirror array
+			if (action == 'add') {
+				mirror.splice(ev.idx, 0, ev.item);
+			} else if (action == 'remove') {
+				mirror.splice(ev.idx, 1);
+			} else if (action == 'move') {
+				mirror.splice(ev.to, 0, mirror.splice(ev.from, 1)[0]);
+			}
+		});
+		joined.on(null, onEvent);
+	});
+
+	afterEach(() => {
+		jest.runAllTimers();
+		joined.off(null, onEvent);
+		joined.dispose();
+		// Validate we dont have any undisposed listeners
+		expect(Object.keys(eventBus._evs)).toEqual([]);
+	});
+
+	function names() {
+		return Array.from(joined).map(m => m.id);
+	}
+
+	// Asserts that replaying the events results in the joined collection.
+	function expectInSync() {
+		jest.runAllTimers();
+		expect(mirror.map(m => m.id)).toEqual(names());
+	}
+
+	it("joins the collections", () => {
+		expect(names()).toEqual([ 'banana', 'orange', 'carrot', 'potato', 'leek' ]);
+		expect(joined.length).toBe(5);
+		expect(joined.atIndex(3).id).toBe('potato');
+		expect(joined.atIndex(5)).toBe(undefined);
+	});
+
+	describe("parent collection", () => {
+		it("adds the items of an added collection", () => {
+			collections.add(berries, 1);
+			jest.runAllTimers();
+			expect(names()).toEqual([ 'banana', 'orange', 'cherry', 'carrot', 'potato', 'leek' ]);
+			expect(events).toEqual([[ 'add', { item: berries.atIndex(0), idx: 2 }]]);
+			expectInSync();
+		});
+
+		it("removes the items of a removed collection", () => {
+			collections.remove('fruits');
+			jest.runAllTimers();
+			expect(names()).toEqual([ 'carrot', 'potato', 'leek' ]);
+			expect(events.map(e => e[0])).toEqual([ 'remove', 'remove' ]);
+			expectInSync();
+		});
+
+		it("stops listening to a removed collection", () => {
+			collections.remove('fruits');
+			jest.runAllTimers();
+			events = [];
+			fruits.add({ id: 'apple' });
+			jest.runAllTimers();
+			expect(events).toEqual([]);
+		});
+
+		it("moves the items of a collection moved forward", () => {
+			collections.add(berries);
+			jest.runAllTimers();
+			collections.move('fruits', 1);
+			jest.runAllTimers();
+			expect(names()).toEqual([ 'carrot', 'potato', 'leek', 'banana', 'orange', 'cherry' ]);
+			expectInSync();
+		});
+
+		it("moves the items of a collection moved backward", () => {
+			collections.add(berries, 0);
+			jest.runAllTimers();
+			collections.move('veggies', 0);
+			jest.runAllTimers();
+			expect(names()).toEqual([ 'carrot', 'potato', 'leek', 'cherry', 'banana', 'orange' ]);
+			expectInSync();
+		});
+
+		it("emits no events when an empty collection is moved", () => {
+			let empty = new Collection();
+			ids.set(empty, 'empty');
+			collections.add(empty, 0);
+			jest.runAllTimers();
+			events = [];
+			collections.move('empty', 2);
+			jest.runAllTimers();
+			expect(events).toEqual([]);
+			expectInSync();
+		});
+	});
+
+	describe("sub collection", () => {
+		it("adds an item added to a sub collection", () => {
+			let item = { id: 'onion' };
+			veggies.add(item, 1);
+			jest.runAllTimers();
+			expect(names()).toEqual([ 'banana', 'orange', 'carrot', 'onion', 'potato', 'leek' ]);
+			expect(events).toEqual([[ 'add', { item, idx: 3 }]]);
+			expectInSync();
+		});
+
+		it("removes an item removed from a sub collection", () => {
+			let item = veggies.get('potato');
+			veggies.remove('potato');
+			jest.runAllTimers();
+			expect(events).toEqual([[ 'remove', { item, idx: 3 }]]);
+			expectInSync();
+		});
+
+		it("moves an item moved within a sub collection", () => {
+			let item = veggies.get('leek');
+			veggies.move('leek', 0);
+			jest.runAllTimers();
+			expect(names()).toEqual([ 'banana', 'orange', 'leek', 'carrot', 'potato' ]);
+			expect(events).toEqual([[ 'move', { item, from: 4, to: 2 }]]);
+			expectInSync();
+		});
+
+		it("follows a sub collection after it has been moved", () => {
+			collections.move('veggies', 0);
+			jest.runAllTimers();
+			events = [];
+			fruits.move('banana', 1);
+			jest.runAllTimers();
+			expect(events).toEqual([[ 'move', { item: fruits.get('banana'), from: 3, to: 4 }]]);
+			expectInSync();
+		});
+	});
+});
@@ -1,5 +1,26 @@
 import eventBus from 'modapp-eventbus';
 import { obj } from 'modapp-utils';
+import { transaction, emitChange } from './transaction';
+import { observed } from './autorun';
+import { promoteProperty, getPath, setPath, expandPaths, pathValues, addPathChanges, changeRecord } from './utils';
+import { validate as validateProps, ValidationError } from './validation';
+import { addMiddleware, useGlobal, applyMiddleware } from './middleware';
+import { setMeta, getMeta, listen } from './meta';
+
+/**
+ * Computed property definition.
+ * @typedef {object} Model~computed
+ * @property {Array.<string>} deps Keys of the properties the computed property depends on.
+ * @property {function} get Callback returning the computed value: function(props, model) -> value
+ */
+
+/**
+ * Change record of a property, emitted in changeRecord events.
+ * @typedef {object} Model~changeRecord
+ * @property {string} type Type of change. Either 'add', 'delete', or 'update'.
+ * @property {*} old Old value. Undefined if the property was added.
+ * @property {*} new New value. Undefined if the property was deleted.
+ */
 
 /**
  * Model is a generic data model.
@@ -10,8 +31,11 @@ class Model {
 	/**
 	 * Creates a Model instance
 	 * @param {object} [opt] Optional parameters.
-	 * @param {object} [opt.definition] Object definition. If not provided, any value will be allowed.
+	 * @param {object.<string, string|validation~PropertyDefinition>} [opt.definition] Object definition. If not provided, any value will be allowed.
 	 * @param {object} [opt.data] Initial data.
+	 * @param {object.<string, Model~computed>} [opt.computed] Computed properties, with the property key as key. A computed property may depend on other computed properties defined before it.
+	 * @param {boolean} [opt.richEvents] Flag telling if a changeRecord event, with the old and new values, should be emitted after each change event.
+	 * @param {boolean} [opt.internal] Flag telling if the model holds internal state of another model, such as errors or touched fields. Set then bypasses all middleware, and keeps keys containing dots literal.
 	 * @param {string} [opt.namespace] Event bus namespace. Defaults to 'model'.
 	 * @param {module:modapp~EventBus} [opt.eventBus] Event bus.
 	 */
@@ -20,10 +44,17 @@ class Model {
 		this._namespace = opt.namespace || 'model';
 		this._eventBus = opt.eventBus || eventBus;
 
+		this._computed = opt.computed || null;
+		this._richEvents = !!opt.richEvents;
+		this._internal = !!opt.internal;
+
 		this._props = {};
 		if (opt.data) {
 			this._update(opt.data, false);
 		}
+		if (this._computed) {
+			this._compute(null, true);
+		}
 	}
 
 	/**
@@ -31,16 +62,31 @@ class Model {
 	 * @returns {object} Anonymous object with all model properties.
 	 */
 	get props() {
+		observed(this, 'change');
 		return this._props;
 	}
 
 	/**
 	 * Attach an event handler function for one or more session events.
+	 *
+	 * A path change event, such as 'change:address.city', is only emitted when
+	 * the value at the path changes, with a change object containing the path
+	 * and its old value.
+	 *
+	 * If the model has rich events, a changeRecord event is emitted after each
+	 * change event, with a {@link Model~changeRecord} for each changed
+	 * property.
+	 *
+	 * Change and changeRecord handlers are called with the metadata passed on
+	 * set as third argument: function(change, model, meta, event, action)
 	 * @param {?string} events One or more space-separated events. Null means any event.
 	 * @param {Event~eventCallback} handler A function to execute when the event is emitted.
 	 */
 	on(events, handler) {
-		this._eventBus.on(this, events, handler, this._namespace);
+		events = this._listenPaths(events, handler, true);
+		if (events !== '') {
+			listen(this._eventBus, this, events, handler, this._namespace, [ 'change', 'changeRecord' ], true);
+		}
 	}
 
 	/**
@@ -49,17 +95,121 @@ class Model {
 	 * @param {Event~eventCallback} [handler] An option handler function. The handler will only be remove if it is the same handler.
 	 */
 	off(events, handler) {
-		this._eventBus.off(this, events, handler, this._namespace);
+		events = this._listenPaths(events, handler, false);
+		if (events !== '') {
+			listen(this._eventBus, this, events, handler, this._namespace, [ 'change', 'changeRecord' ], false);
+		}
 	}
 
 	/**
 	 * Sets model properties
 	 * If any property where changed, this will trigger a change event.
+	 *
+	 * A nested value may be set using a dot-separated path as key, such as
+	 * 'address.city'. The objects along the path are copied rather than
+	 * modified. The change event will contain the top-level property, and
+	 * the changed path with its old value as a non-enumerable property, so
+	 * that change.address holds the old address and change['address.city']
+	 * the old city.
+	 *
+	 * If the model has a definition, the properties are validated before
+	 * being set. If any property is invalid, no property is set.
+	 *
+	 * The properties are passed through any middleware before being
+	 * validated and set.
+	 *
+	 * Any metadata, such as the origin of the change, is passed to the
+	 * change handlers.
 	 * @param {object} props Properties to set
-	 * @returns {Promise} Promise to the setting of the properties.
+	 * @param {meta~meta} [meta] Metadata passed with the change event.
+	 * @returns {Promise} Promise to the setting of the properties. Rejects with a ValidationError if any property is invalid.
+	 */
+	set(props, meta) {
+		if (this._internal) {
+			return this._set(props, meta);
+		}
+		return applyMiddleware(this._middleware, props, { model: this, meta: meta || null }, p => this._set(p && expandPaths(p, this._props), meta, p && pathValues(p, this._props)));
+	}
+
+	/**
+	 * Adds a middleware called on each set of this model, after any global
+	 * middleware.
+	 * @param {middleware~middleware} middleware Middleware callback.
+	 * @returns {function} Function removing the middleware.
+	 */
+	use(middleware) {
+		this._middleware = this._middleware || [];
+		return addMiddleware(this._middleware, middleware);
+	}
+
+	/**
+	 * Adds a middleware called on each set of any Model, ModelWrapper, or
+	 * ModifyModel, before the middleware of the model. It is not called on
+	 * the internal models of a ModifyModel or FormModel, and only once on a
+	 * ModelWrapper set forwarded to a wrapped Model or ModifyModel.
+	 * @param {middleware~middleware} middleware Middleware callback.
+	 * @returns {function} Function removing the middleware.
+	 */
+	static use(middleware) {
+		return useGlobal(middleware);
+	}
+
+	_set(props, meta, paths) {
+		if (!this._definition || !props) {
+			return Promise.resolve(this._update(props, true, false, meta, paths));
+		}
+
+		let errors = validateProps(this._definition, props, this._props);
+		if (errors && typeof errors.then == 'function') {
+			return errors.then(errs => this._setValid(props, errs, meta, paths));
+		}
+		try {
+			return Promise.resolve(this._setValid(props, errors, meta, paths));
+		} catch (err) {
+			return Promise.reject(err);
+		}
+	}
+
+	/**
+	 * Validates the model properties against the definition without setting
+	 * anything.
+	 * @param {object} [props] Properties to validate in place of the current ones.
+	 * @returns {Promise.<?object>} Promise to the error messages, with the invalid property as key. Resolves to null if all properties are valid, or if the model has no definition.
 	 */
-	set(props) {
-		return Promise.resolve(this._update(props, true));
+	validate(props) {
+		if (!this._definition) {
+			return Promise.resolve(null);
+		}
+		return Promise.resolve(validateProps(this._definition, expandPaths(props || {}, this._props), this._props, true));
+	}
+
+	/**
+	 * Sets a nested model property.
+	 * Short hand for Model.set({ 'a.b': value }).
+	 *
+	 * Path keys given as an array may themselves contain dots, such as
+	 * [ 'library.book.1', 'title' ]. The top-level property is then passed
+	 * through any middleware with the value set, and the changed path is not
+	 * added to the change event.
+	 * @param {Array.<string>|string} path Path keys, or a dot-separated path.
+	 * @param {*} value Value to set. Undefined deletes the property.
+	 * @returns {Promise} Promise to the setting of the property.
+	 */
+	setIn(path, value) {
+		if (!Array.isArray(path) || !path.some(k => k.indexOf('.') >= 0)) {
+			return this.set({ [Array.isArray(path) ? path.join('.') : path]: value });
+		}
+		let props = { [path[0]]: setPath(this._props[path[0]], path, 1, value) };
+		return applyMiddleware(this._middleware, props, { model: this, meta: null }, p => this._set(p));
+	}
+
+	/**
+	 * Gets a nested model property.
+	 * @param {Array.<string>|string} path Path keys, or a dot-separated path.
+	 * @returns {*} Value at the path, or undefined if the path doesn't exist.
+	 */
+	getIn(path) {
+		return getPath(this.props, Array.isArray(path) ? path : path.split('.'));
 	}
 
 	/**
@@ -72,6 +222,18 @@ class Model {
 		return Promise.resolve(this._update(props, true, true));
 	}
 
+	/**
+	 * Calls a function, holding back change events until it returns. A single
+	 * change event with the merged changes is then emitted.
+	 * If called within another batch or transaction, the events are held back
+	 * until the outermost one ends.
+	 * @param {function} fn Function to call.
+	 * @returns {*} Return value of fn.
+	 */
+	batch(fn) {
+		return transaction(fn);
+	}
+
 	/**
 	 * Returns the model definition, or null if none is set.
 	 * @returns {?object} Object definition
@@ -80,15 +242,24 @@ class Model {
 		return this._definition;
 	}
 
+	_setValid(props, errors, meta, paths) {
+		if (errors) {
+			throw new ValidationError(errors);
+		}
+		return this._update(props, true, false, meta, paths);
+	}
+
 	/**
 	 * Updates the properties.
 	 * @param {object} props Properties to update.
 	 * @param {boolean} emit Flag if changes though be emitted on the eventBus.
 	 * @param {boolean} reset Flag that sets if missing values should be deleted.
+	 * @param {?meta~meta} [meta] Metadata passed with the change event.
+	 * @param {?object} [paths] Old values of any paths being set, with the dot-separated path as key.
 	 * @returns {?object} Key/value object with the change properties and old values, or null if there were no changes.
 	 * @private
 	 */
-	_update(props, emit, reset) {
+	_update(props, emit, reset, meta, paths) {
 		if (!props) {
 			return null;
 		}
@@ -106,6 +277,14 @@ class Model {
 			}
 		}
 
+		// Computed properties can't be set
+		if (this._computed) {
+			props = reset ? props : Object.assign({}, props);
+			for (let k in this._computed) {
+				delete props[k];
+			}
+		}
+
 		if (this._definition) {
 			changed = obj.update(p, props, this._definition);
 			for (let key in changed) {
@@ -114,7 +293,7 @@ class Model {
 					if (v === undefined) {
 						delete this[key];
 					} else {
-						this[key] = v;
+						promoteProperty(this, p, key);
 					}
 				}
 			}
@@ -130,16 +309,120 @@ class Model {
 						if (promote) delete this[key];
 					} else {
 						p[key] = v;
-						if (promote) this[key] = v;
+						if (promote) promoteProperty(this, p, key);
 					}
 				}
 			}
 		}
 
+		if (changed && this._computed) {
+			changed = this._compute(changed, false);
+		}
+
+		if (changed && paths) {
+			addPathChanges(changed, paths, p);
+		}
+
 		if (changed && emit) {
-			this._eventBus.emit(this, this._namespace + '.change', changed);
+			emitChange(this, p, changed, c => {
+				this._eventBus.emit(this, this._namespace + '.change', setMeta(c, meta));
+				if (this._richEvents) {
+					this._eventBus.emit(this, this._namespace + '.changeRecord', setMeta(changeRecord(c, p), meta));
+				}
+			});
+		}
+
+		return changed;
+	}
+
+	/**
+	 * Listens or unlistens to any path change events among the events.
+	 * @param {?string} events One or more space-separated events.
+	 * @param {Event~eventCallback} [handler] Event handler.
+	 * @param {boolean} on Flag telling if the handler should be added or removed.
+	 * @returns {?string} Remaining events that are not path change events, or null if events is null.
+	 * @private
+	 */
+	_listenPaths(events, handler, on) {
+		if (!events) {
+			return events;
 		}
+		let rest = [];
+		for (let ev of events.match(/\S+/g) || []) {
+			if (ev.indexOf('change:') === 0) {
+				this[on ? '_onPath' : '_offPath'](ev.substr(7), handler);
+			} else {
+				rest.push(ev);
+			}
+		}
+		return rest.join(' ');
+	}
 
+	_onPath(path, handler) {
+		let keys = path.split('.');
+		let k = keys[0];
+		let cb = (change, target, event, action) => {
+			if (!change.hasOwnProperty(k)) {
+				return;
+			}
+			let ov = getPath(change[k], keys, 1);
+			if (ov !== getPath(this._props[k], keys, 1)) {
+				handler({ [path]: ov }, target, getMeta(change), event, action);
+			}
+		};
+		this._paths = this._paths || [];
+		this._paths.push({ path, handler, cb });
+		this._eventBus.on(this, 'change', cb, this._namespace);
+	}
+
+	_offPath(path, handler) {
+		let found = false;
+		let ps = this._paths || [];
+		for (let i = ps.length - 1; i >= 0; i--) {
+			let o = ps[i];
+			if (o.path === path && (!handler || o.handler === handler)) {
+				ps.splice(i, 1);
+				this._eventBus.off(this, 'change', o.cb, this._namespace);
+				found = true;
+				if (handler) {
+					break;
+				}
+			}
+		}
+		if (!found) {
+			throw new Error("Event handler not found");
+		}
+	}
+
+	/**
+	 * Recomputes the computed properties depending on any of the changed
+	 * properties.
+	 * @param {?object} changed Key/value object with the changed properties and old values.
+	 * @param {boolean} all Flag telling if all computed properties should be recomputed.
+	 * @returns {?object} The changed object, including any changed computed properties.
+	 * @private
+	 */
+	_compute(changed, all) {
+		let p = this._props;
+		for (let key in this._computed) {
+			let c = this._computed[key];
+			if (!all && !(c.deps || []).some(dep => changed.hasOwnProperty(dep))) {
+				continue;
+			}
+			let v = c.get(p, this);
+			if (p[key] !== v) {
+				changed = changed || {};
+				changed[key] = p[key];
+				let promote = (this.hasOwnProperty(key) || !this[key]) && key[0] !== '_';
+				if (v === undefined) {
+					delete p[key];
+					if (promote) delete this[key];
+				} else {
+					p[key] = v;
+					if (promote) promoteProperty(this, p, key);
+				}
+			}
+		}
 		return changed;
 	}
 
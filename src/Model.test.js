@@ -0,0 +1,398 @@
+import Model from './Model';
+import { ValidationError } from './validation';
+import eventBus from 'modapp-eventbus';
+
+describe("Model", () => {
+	let model;
+	let changes;
+	let onChange;
+	let fullNameGet;
+
+	jest.useFakeTimers();
+
+	beforeEach(() => {
+		// Clear eventbus listeners
+		eventBus._evs = {};
+
+		changes = [];
+		onChange = jest.fn(change => changes.push(change));
+		fullNameGet = jest.fn(p => p.firstName + " " + p.lastName);
+	});
+
+	afterEach(() => {
+		jest.runAllTimers();
+		if (model) {
+			model.off('change', onChange);
+			model = null;
+		}
+		// Validate we dont have any undisposed listeners
+		expect(Object.keys(eventBus._evs)).toEqual([]);
+	});
+
+	it("shadows an assigned promoted property without changing the props", () => {
+		model = new Model({ data: { fruit: 'banana' }});
+		model.on('change', onChange);
+		model.fruit = 'apple';
+		jest.runAllTimers();
+		expect(model.fruit).toBe('apple');
+		expect(model.props.fruit).toBe('banana');
+		expect(onChange).not.toHaveBeenCalled();
+	});
+
+	it("promotes a shadowed property again when it is updated", () => {
+		model = new Model({ data: { fruit: 'banana' }});
+		model.fruit = 'apple';
+		model.set({ fruit: 'pear' });
+		expect(model.fruit).toBe('pear');
+		expect(model.props.fruit).toBe('pear');
+	});
+
+	describe("opt.computed", () => {
+		beforeEach(() => {
+			model = new Model({
+				data: { firstName: 'Jane', lastName: 'Doe', age: 42 },
+				computed: {
+					fullName: { deps: [ 'firstName', 'lastName' ], get: fullNameGet },
+					greeting: { deps: [ 'fullName' ], get: p => "Hello, " + p.fullName }
+				}
+			});
+			model.on('change', onChange);
+		});
+
+		it("computes properties on create", () => {
+			expect(model.props.fullName).toBe("Jane Doe");
+			expect(model.fullName).toBe("Jane Doe");
+			expect(model.greeting).toBe("Hello, Jane Doe");
+		});
+
+		it("computes properties on create without data", () => {
+			let m = new Model({
+				computed: {
+					count: { deps: [ 'items' ], get: p => p.items ? p.items.length : 0 }
+				}
+			});
+			expect(m.count).toBe(0);
+		});
+
+		it("passes the model to get", () => {
+			let get = jest.fn(() => 1);
+			let m = new Model({ computed: { one: { deps: [], get }}});
+			expect(get).toHaveBeenCalledWith(m.props, m);
+		});
+
+		it("recomputes on dependency change and includes it in the change event", () => {
+			model.set({ firstName: 'John' });
+			jest.runAllTimers();
+			expect(model.fullName).toBe("John Doe");
+			expect(model.greeting).toBe("Hello, John Doe");
+			expect(changes).toEqual([{ firstName: 'Jane', fullName: "Jane Doe", greeting: "Hello, Jane Doe" }]);
+		});
+
+		it("does not recompute on change to other properties", () => {
+			fullNameGet.mockClear();
+			model.set({ age: 43 });
+			jest.runAllTimers();
+			expect(fullNameGet).not.toHaveBeenCalled();
+			expect(changes).toEqual([{ age: 42 }]);
+		});
+
+		it("leaves out computed properties with unchanged value", () => {
+			let m = new Model({
+				data: { age: 42 },
+				computed: {
+					isAdult: { deps: [ 'age' ], get: p => p.age >= 18 }
+				}
+			});
+			return expect(m.set({ age: 43 })).resolves.toEqual({ age: 42 });
+		});
+
+		it("ignores computed properties on set", () => {
+			model.set({ fullName: 'John Smith' });
+			jest.runAllTimers();
+			expect(model.fullName).toBe("Jane Doe");
+			expect(changes.length).toBe(0);
+		});
+
+		it("keeps computed properties on reset", () => {
+			model.reset({ firstName: 'John', lastName: 'Smith' });
+			jest.runAllTimers();
+			expect(model.props).toEqual({ firstName: 'John', lastName: 'Smith', fullName: "John Smith", greeting: "Hello, John Smith" });
+			expect(changes).toEqual([{ firstName: 'Jane', lastName: 'Doe', age: 42, fullName: "Jane Doe", greeting: "Hello, Jane Doe" }]);
+		});
+
+		it("removes computed property when computed to undefined", () => {
+			let m = new Model({
+				data: { items: [ 1 ] },
+				computed: {
+					first: { deps: [ 'items' ], get: p => p.items && p.items[0] }
+				}
+			});
+			expect(m.first).toBe(1);
+			m.set({ items: undefined });
+			expect(m.props.hasOwnProperty('first')).toBe(false);
+			expect(m.hasOwnProperty('first')).toBe(false);
+		});
+	});
+	describe("nested paths", () => {
+		let address;
+
+		beforeEach(() => {
+			address = { street: 'Main St', city: 'Bergen', geo: { lat: 60 }};
+			model = new Model({ data: { name: 'Jane', address }});
+			model.on('change', onChange);
+		});
+
+		it("sets a nested value using a path key", () => {
+			model.set({ 'address.city': 'Oslo' });
+			jest.runAllTimers();
+			expect(model.address).toEqual({ street: 'Main St', city: 'Oslo', geo: { lat: 60 }});
+			expect(changes).toEqual([{ address }]);
+		});
+
+		it("reports the changed paths with their old values in the change event", () => {
+			model.set({ 'address.city': 'Oslo', 'address.street': 'Main St', name: 'John' });
+			jest.runAllTimers();
+			let change = onChange.mock.calls[0][0];
+			expect(Object.keys(change)).toEqual([ 'address', 'name' ]);
+			expect(change['address.city']).toBe('Bergen');
+			expect(change.hasOwnProperty('address.street')).toBe(false);
+		});
+
+		it("reports the changed paths of a transaction with their first old values", () => {
+			model.batch(() => {
+				model.set({ 'address.city': 'Oslo' });
+				model.set({ 'address.city': 'Trondheim', 'address.geo.lat': 59 });
+				model.set({ 'address.geo.lat': 60 });
+			});
+			jest.runAllTimers();
+			expect(onChange).toHaveBeenCalledTimes(1);
+			let change = onChange.mock.calls[0][0];
+			expect(change.address).toBe(address);
+			expect(change['address.city']).toBe('Bergen');
+			expect(change.hasOwnProperty('address.geo.lat')).toBe(false);
+		});
+
+		it("copies objects along the path", () => {
+			model.set({ 'address.geo.lat': 59 });
+			expect(model.address).not.toBe(address);
+			expect(model.address.geo.lat).toBe(59);
+			expect(address).toEqual({ street: 'Main St', city: 'Bergen', geo: { lat: 60 }});
+		});
+
+		it("keeps unchanged objects along the path", () => {
+			model.set({ 'address.city': 'Oslo' });
+			expect(model.address.geo).toBe(address.geo);
+		});
+
+		it("emits no event when setting an unchanged nested value", () => {
+			model.set({ 'address.city': 'Bergen' });
+			jest.runAllTimers();
+			expect(model.address).toBe(address);
+			expect(changes.length).toBe(0);
+		});
+
+		it("creates missing objects along the path", () => {
+			model.set({ 'contact.phone.mobile': '555' });
+			expect(model.contact).toEqual({ phone: { mobile: '555' }});
+		});
+
+		it("deletes a nested value set to undefined", () => {
+			model.set({ 'address.geo': undefined });
+			expect(model.address).toEqual({ street: 'Main St', city: 'Bergen' });
+		});
+
+		it("applies multiple paths and keys in order", () => {
+			model.set({ 'address.city': 'Oslo', 'address.street': 'Karl Johan', name: 'John' });
+			jest.runAllTimers();
+			expect(model.address).toEqual({ street: 'Karl Johan', city: 'Oslo', geo: { lat: 60 }});
+			expect(changes).toEqual([{ address, name: 'Jane' }]);
+		});
+
+		it("keeps keys containing dots literal in initial data and reset", () => {
+			let m = new Model({ data: { 'library.book.1': 'x' }});
+			expect(m.props).toEqual({ 'library.book.1': 'x' });
+			m.reset({ 'library.book.2': 'y' });
+			expect(m.props).toEqual({ 'library.book.2': 'y' });
+		});
+
+		it("sets a nested value with setIn", () => {
+			model.setIn([ 'address', 'city' ], 'Oslo');
+			model.setIn('address.geo.lat', 59);
+			expect(model.address).toEqual({ street: 'Main St', city: 'Oslo', geo: { lat: 59 }});
+		});
+
+		it("sets a nested value with setIn using path keys containing dots", () => {
+			model.reset({ 'library.book': { title: 'Dune' }});
+			model.setIn([ 'library.book', 'title' ], 'Emma');
+			expect(model.props).toEqual({ 'library.book': { title: 'Emma' }});
+			expect(model.getIn([ 'library.book', 'title' ])).toBe('Emma');
+			expect(model.props.library).toBe(undefined);
+		});
+
+		it("gets a nested value with getIn", () => {
+			expect(model.getIn([ 'address', 'city' ])).toBe('Bergen');
+			expect(model.getIn('address.geo.lat')).toBe(60);
+			expect(model.getIn('address.zip.code')).toBe(undefined);
+		});
+
+		it("emits path change event only on change to the path", () => {
+			let pathChanges = [];
+			let cb = jest.fn(change => pathChanges.push(change));
+			model.on('change:address.city', cb);
+			model.set({ 'address.street': 'Karl Johan' });
+			jest.runAllTimers();
+			model.set({ 'address.city': 'Oslo' });
+			jest.runAllTimers();
+			model.set({ address: { city: 'Trondheim' }});
+			jest.runAllTimers();
+			model.set({ name: 'John' });
+			jest.runAllTimers();
+			expect(pathChanges).toEqual([{ 'address.city': 'Bergen' }, { 'address.city': 'Oslo' }]);
+			expect(changes.length).toBe(4);
+			model.off('change:address.city', cb);
+		});
+
+		it("handles path change events mixed with other events", () => {
+			let cb = jest.fn();
+			model.on('change:name change:address.city', cb);
+			model.set({ 'address.city': 'Oslo', name: 'John' });
+			jest.runAllTimers();
+			expect(cb).toHaveBeenCalledTimes(2);
+			model.off('change:name change:address.city', cb);
+		});
+
+		it("throws an error on removing a missing path change handler", () => {
+			expect(() => model.off('change:address.city', jest.fn())).toThrow();
+		});
+	});
+
+	describe("validation", () => {
+		beforeEach(() => {
+			model = new Model({
+				data: { name: 'Jane', age: 42 },
+				definition: {
+					name: { type: 'string', required: true },
+					age: { type: 'number', min: 0 },
+					email: { type: '?string', pattern: /@/ }
+				}
+			});
+			model.on('change', onChange);
+		});
+
+		it("sets valid properties", () => {
+			return model.set({ age: 43 }).then(changed => {
+				expect(changed).toEqual({ age: 42 });
+				expect(model.age).toBe(43);
+			});
+		});
+
+		it("sets valid properties synchronously", () => {
+			model.set({ age: 43 });
+			expect(model.age).toBe(43);
+		});
+
+		it("rejects with a ValidationError and sets nothing on invalid properties", () => {
+			return model.set({ name: '', age: -1, email: 'jane@example.com' }).then(() => {
+				throw new Error("Expected rejection");
+			}, err => {
+				expect(err).toBeInstanceOf(ValidationError);
+				expect(err.errors).toEqual({ name: "Required.", age: "Must be at least 0." });
+				expect(model.props).toEqual({ name: 'Jane', age: 42, email: null });
+				jest.runAllTimers();
+				expect(changes.length).toBe(0);
+			});
+		});
+
+		it("waits for async validators before setting", () => {
+			let m = new Model({
+				data: { name: 'Jane' },
+				definition: {
+					name: { type: 'string', validate: v => Promise.resolve(v == 'taken' ? "Not available." : null) }
+				}
+			});
+			let promise = m.set({ name: 'John' });
+			expect(m.name).toBe('Jane');
+			return promise.then(() => {
+				expect(m.name).toBe('John');
+				return expect(m.set({ name: 'taken' })).rejects.toBeInstanceOf(ValidationError);
+			}).then(() => {
+				expect(m.name).toBe('John');
+			});
+		});
+
+		it("validates all properties without setting anything", () => {
+			return model.validate({ name: null, age: -1 }).then(errors => {
+				expect(errors).toEqual({ name: "Required.", age: "Must be at least 0." });
+				expect(model.props).toEqual({ name: 'Jane', age: 42, email: null });
+			});
+		});
+
+		it("resolves validate to null when valid", () => {
+			return expect(model.validate()).resolves.toBe(null);
+		});
+
+		it("resolves validate to null without definition", () => {
+			let m = new Model({ data: { name: '' }});
+			return expect(m.validate()).resolves.toBe(null);
+		});
+	});
+
+	describe("rich events", () => {
+		let records;
+		let onRecord;
+
+		beforeEach(() => {
+			records = [];
+			onRecord = jest.fn(r => records.push(r));
+			model = new Model({ data: { name: 'Jane', age: 42 }, richEvents: true });
+			model.on('change', onChange);
+			model.on('changeRecord', onRecord);
+		});
+
+		afterEach(() => {
+			if (model) {
+				model.off('changeRecord', onRecord);
+			}
+		});
+
+		it("emits a changeRecord event with old and new values after the change event", () => {
+			model.set({ name: 'John', age: undefined, email: 'john@example.com' });
+			jest.runAllTimers();
+			expect(changes).toEqual([{ name: 'Jane', age: 42, email: undefined }]);
+			expect(records).toEqual([{
+				name: { type: 'update', old: 'Jane', new: 'John' },
+				age: { type: 'delete', old: 42, new: undefined },
+				email: { type: 'add', old: undefined, new: 'john@example.com' }
+			}]);
+		});
+
+		it("keeps the new values from when each event was emitted", () => {
+			model.set({ age: 43 });
+			model.set({ age: 44 });
+			jest.runAllTimers();
+			expect(records).toEqual([
+				{ age: { type: 'update', old: 42, new: 43 }},
+				{ age: { type: 'update', old: 43, new: 44 }}
+			]);
+		});
+
+		it("emits a single merged changeRecord event within a batch", () => {
+			model.batch(() => {
+				model.set({ age: 43 });
+				model.set({ age: 44, name: 'John' });
+				model.set({ name: 'Jane' });
+			});
+			jest.runAllTimers();
+			expect(records).toEqual([{ age: { type: 'update', old: 42, new: 44 }}]);
+		});
+
+		it("does not emit changeRecord events without rich events", () => {
+			let m = new Model({ data: { name: 'Jane' }});
+			m.on('changeRecord', onRecord);
+			m.set({ name: 'John' });
+			jest.runAllTimers();
+			expect(onRecord).not.toHaveBeenCalled();
+			m.off('changeRecord', onRecord);
+		});
+	});
+});
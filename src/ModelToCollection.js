@@ -1,13 +1,24 @@
 import eventBus from 'modapp-eventbus';
 import { array } from 'modapp-utils';
 import { getProps, patchDiff } from './utils';
+import { observed } from './autorun';
+import { setMeta, getMeta } from './meta';
 
 function compare(a, b) {
 	return a.key.localeCompare(b.key);
 }
 
+// Tie-breaker for items comparing equal, as keys are unique.
+function compareKeys(a, b) {
+	return a.key === b.key ? 0 : a.key < b.key ? -1 : 1;
+}
+
 /**
  * ModelToCollection turns a model into a collection.
+ *
+ * Events caused by a change of the model, or of a model value, carry the
+ * metadata of the change, which may be read from the event data using
+ * getMeta.
  */
 class ModelToCollection {
 
@@ -15,14 +26,15 @@ class ModelToCollection {
 	 * Creates a ModelToCollection instance.
 	 * @param {object|Model} model Model
 	 * @param {object} [opt] Optional parameters.
-	 * @param {function} [opt.compare] Compare function with receives two objects { key, value }. Defaults to: (a, b) => a.key.localeCompare(b.key)
+	 * @param {function} [opt.compare] Compare function with receives two objects { key, value }. Items comparing equal are sorted by key. Defaults to: (a, b) => a.key.localeCompare(b.key)
 	 * @param {function} [opt.filter] Filter function filtering which key/values to show: function(key, value) -> boolean
 	 * @param {string} [opt.namespace] Event bus namespace. Defaults to 'modelToCollection'.
 	 * @param {module:modapp~EventBus} [opt.eventBus] Event bus.
 	 */
 	constructor(model, opt) {
 		opt = opt || {};
-		this._compare = opt.compare || compare;
+		let cmp = opt.compare || compare;
+		this._compare = (a, b) => cmp(a, b) || compareKeys(a, b);
 		this._namespace = opt.namespace || 'modelToCollection';
 		this._eventBus = opt.eventBus || eventBus;
 		this._filter = opt.filter || null;
@@ -40,6 +52,7 @@ class ModelToCollection {
 	}
 
 	get length() {
+		observed(this, 'add remove');
 		return this._list.length;
 	}
 
@@ -75,6 +88,7 @@ class ModelToCollection {
 	 * @returns {number} Order index of the item. -1 if the item id doesn't exist.
 	 */
 	indexOf(item) {
+		observed(this, 'add remove');
 		for (let i = 0; i < this._list.length; i++) {
 			if (this._list[i].value === item) {
 				return i;
@@ -89,6 +103,7 @@ class ModelToCollection {
 	 * @returns {*} Item or undefined if idx is out of bounds.
 	 */
 	atIndex(idx) {
+		observed(this, 'add remove');
 		return idx < 0 || idx >= this._list.length ? undefined : this._list[idx];
 	}
 
@@ -97,6 +112,7 @@ class ModelToCollection {
 	 * @returns {Array} Array of items.
 	 */
 	toArray() {
+		observed(this, 'add remove');
 		return this._list.map(o => o.value);
 	}
 
@@ -150,16 +166,16 @@ class ModelToCollection {
 		return this;
 	}
 
-	_sendSyncEvents(oldList, newList) {
+	_sendSyncEvents(oldList, newList, meta) {
 		patchDiff(oldList, newList,
-			(o, n, idx) => this._eventBus.emit(this, this._namespace + '.add', {
+			(o, n, idx) => this._eventBus.emit(this, this._namespace + '.add', setMeta({
 				item: o.value,
 				idx,
-			}),
-			(o, m, idx) => this._eventBus.emit(this, this._namespace + '.remove', {
+			}, meta)),
+			(o, m, idx) => this._eventBus.emit(this, this._namespace + '.remove', setMeta({
 				item: o.value,
 				idx,
-			})
+			}, meta))
 		);
 	}
 
@@ -200,7 +216,7 @@ class ModelToCollection {
 		this._props[o.key] = o;
 		let m = o.value;
 		if (typeof m === 'object' && m !== null && typeof m.on == 'function') {
-			o.cb = (m, change) => {
+			o.cb = change => {
 				if (this._props[o.key] != o) {
 					return;
 				}
@@ -208,7 +224,7 @@ class ModelToCollection {
 				this._list.sort(this._compare);
 				this._onItemChange(o);
 
-				this._sendSyncEvents(oldList, this._list);
+				this._sendSyncEvents(oldList, this._list, getMeta(change));
 			};
 			m.on('change', o.cb);
 		}
@@ -247,7 +263,7 @@ class ModelToCollection {
 			}
 		}
 
-		this._sendSyncEvents(oldList, this._list);
+		this._sendSyncEvents(oldList, this._list, getMeta(change));
 	}
 
 
@@ -336,6 +352,7 @@ class ModelToCollection {
 	}
 
 	[Symbol.iterator]() {
+		observed(this, 'add remove');
 		let i = 0;
 		let a = this._list;
 		let l = a.length;
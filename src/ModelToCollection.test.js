@@ -314,6 +314,27 @@ describe("ModelToCollection", () => {
 		});
 	});
 
+	describe("opt.compare", () => {
+		it("sorts items comparing equal by key", () => {
+			collection = new ModelToCollection(model, {
+				compare: (a, b) => a.value.fruit.length - b.value.fruit.length
+			});
+			expect(collection.toArray().map(m => m.id)).toEqual([ 40, 10, 30, 20 ]);
+		});
+
+		it("removes the exact item among items comparing equal", () => {
+			collection = new ModelToCollection(model, {
+				compare: (a, b) => a.value.fruit.length - b.value.fruit.length
+			});
+			let idxs = [];
+			collection.on('remove', e => idxs.push(e.idx));
+			model.set({ 30: undefined });
+			jest.runAllTimers();
+			expect(collection.toArray().map(m => m.id)).toEqual([ 40, 10, 20 ]);
+			expect(idxs).toEqual([ 2 ]);
+		});
+	});
+
 	describe("iterator", () => {
 		it("iterates over each item in collection", () => {
 			collection = new ModelToCollection(model);
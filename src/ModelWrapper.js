@@ -1,6 +1,10 @@
 import eventBus from 'modapp-eventbus';
 import Model from './Model';
-import { getProps } from './utils';
+import ModifyModel from './ModifyModel';
+import { observed } from './autorun';
+import { getProps, setPath } from './utils';
+import { applyMiddleware } from './middleware';
+import { getMeta } from './meta';
 
 /**
  * A wrapper for a {@link module:modapp~Model}, exposing the underlaying data
@@ -18,11 +22,12 @@ class ModelWrapper extends Model {
 	 * @param {function} [opt.keyMap] Key map callback. If not provided, original key will be used.
 	 * @param {function} [opt.filter] Model filter callback. Parameter is a item of the underlying model.
 	 * @param {function} [opt.dispose] Dispose callback called when a mapped item removed.
+	 * @param {boolean} [opt.richEvents] Flag telling if a changeRecord event, with the old and new values, should be emitted after each change event.
 	 * @param {string} [opt.namespace] Event bus namespace. Defaults to 'modelWrapper'.
 	 * @param {module:modapp~EventBus} [opt.eventBus] Event bus.
 	 */
 	constructor(model, opt = {}) {
-		super(Object.assign({ namespace: 'modelWrapper', eventBus: eventBus }));
+		super(Object.assign({ namespace: 'modelWrapper', eventBus: eventBus, richEvents: opt.richEvents }));
 
 		this._map = opt.map || null;
 		this._keyMap = opt.keyMap || null;
@@ -44,20 +49,45 @@ class ModelWrapper extends Model {
 	 * @returns {object} Anonymous object with all model properties.
 	 */
 	get props() {
+		observed(this, 'change');
 		return this._props;
 	}
 
 	/**
-	 * Sets model properties on the underlying model.
+	 * Sets model properties on the underlying model, after passing them
+	 * through any middleware. Global middleware is left to the underlying
+	 * model if it is a Model or ModifyModel, so that it is called only once.
 	 * @param {object} props Properties to set
+	 * @param {meta~meta} [meta] Metadata passed on to the underlying model.
 	 * @returns {Promise} Promise to the setting of the properties.
 	 */
-	set(props) {
+	set(props, meta) {
 		if (!this._model || typeof this._model.set != 'function') {
 			throw new Error("No set method on underlying model.");
 		}
 
-		return this._model.set(props);
+		let m = this._model;
+		return applyMiddleware(this._middleware, props, { model: this, meta: meta || null }, p => m.set(p, meta), m instanceof Model || m instanceof ModifyModel);
+	}
+
+	/**
+	 * Sets a nested property on the underlying model.
+	 * Path keys containing dots are passed on to the setIn method of the
+	 * underlying model, if it has one.
+	 * @param {Array.<string>|string} path Path keys, or a dot-separated path.
+	 * @param {*} value Value to set. Undefined deletes the property.
+	 * @returns {Promise} Promise to the setting of the property.
+	 */
+	setIn(path, value) {
+		if (!Array.isArray(path) || !path.some(k => k.indexOf('.') >= 0)) {
+			return super.setIn(path, value);
+		}
+		let m = this._model;
+		if (m && typeof m.setIn == 'function') {
+			return m.setIn(path, value);
+		}
+		let p = getProps(m) || {};
+		return this.set({ [path[0]]: setPath(p[path[0]], path, 1, value) });
 	}
 
 	/**
@@ -122,7 +152,7 @@ class ModelWrapper extends Model {
 				}
 			}
 		}
-		super.set(o);
+		super._set(o);
 	}
 
 	_listen(on) {
@@ -191,12 +221,12 @@ class ModelWrapper extends Model {
 		c = { key: k, value: v, mkey: mk, mvalue: mv };
 		// Listen to model values
 		if (typeof v === 'object' && v !== null && typeof v.on == 'function') {
-			c.cb = () => {
+			c.cb = change => {
 				// Ensure the model still has this property
 				let p = getProps(this._model);
 				let k = c.key;
 				if (p && p.hasOwnProperty(k)) {
-					this._onItemChange(c);
+					this._onItemChange(c, getMeta(change));
 				}
 			};
 			v.on('change', c.cb);
@@ -229,15 +259,15 @@ class ModelWrapper extends Model {
 			this._prep(o, k, v);
 		}
 
-		super.set(o);
+		super._set(o, getMeta(change));
 	}
 
-	_onItemChange(c) {
+	_onItemChange(c, meta) {
 		let p = getProps(this._model);
 		// Ensure the item is still the same
 		if (!p || p[c.key] !== c.value) return;
 
-		super.set(this._prep({}, c.key, c.value));
+		super._set(this._prep({}, c.key, c.value), meta);
 	}
 
 	_removeItems() {
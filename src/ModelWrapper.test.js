@@ -510,4 +510,51 @@ describe("ModelWrapper", () => {
 		// 	expect(recordedEvents.length).toBe(0);
 		// });
 	});
+
+	describe("keys containing dots", () => {
+		it("keeps the keys literal when copying the wrapped model", () => {
+			let m = new Model({ data: { 'library.book.1': 'x' }});
+			wrapper = new ModelWrapper(m);
+			expect(wrapper.props).toEqual({ 'library.book.1': 'x' });
+			m.reset({ 'library.book.1': 'y' });
+			jest.runAllTimers();
+			expect(wrapper.props).toEqual({ 'library.book.1': 'y' });
+		});
+
+		it("sets a nested value with setIn on the wrapped model using path keys containing dots", () => {
+			let m = new Model({ data: { 'library.book': { title: 'Dune' }}});
+			wrapper = new ModelWrapper(m);
+			wrapper.setIn([ 'library.book', 'title' ], 'Emma');
+			jest.runAllTimers();
+			expect(m.props).toEqual({ 'library.book': { title: 'Emma' }});
+			expect(wrapper.props).toEqual({ 'library.book': { title: 'Emma' }});
+		});
+
+		it("sets a nested value on a wrapped plain object using path keys containing dots", () => {
+			let o = { 'library.book': { title: 'Dune' }, set: jest.fn(() => Promise.resolve(null)) };
+			wrapper = new ModelWrapper(o);
+			wrapper.setIn([ 'library.book', 'title' ], 'Emma');
+			expect(o.set).toHaveBeenCalledWith({ 'library.book': { title: 'Emma' }}, undefined);
+		});
+
+		it("keeps the keys literal when wrapping a plain object", () => {
+			wrapper = new ModelWrapper({ 'library.book.1': 'x' });
+			expect(wrapper.props).toEqual({ 'library.book.1': 'x' });
+		});
+	});
+
+	describe("rich events", () => {
+		it("emits a changeRecord event on changes of the underlying model", () => {
+			wrapper = new ModelWrapper(model, { richEvents: true });
+			let onRecord = jest.fn();
+			wrapper.on('changeRecord', onRecord);
+			model.set({ 50: items[50], 40: undefined });
+			jest.runAllTimers();
+			expect(onRecord.mock.calls[0][0]).toEqual({
+				50: { type: 'add', old: undefined, new: items[50] },
+				40: { type: 'delete', old: items[40], new: undefined }
+			});
+			wrapper.off('changeRecord', onRecord);
+		});
+	});
 });
@@ -0,0 +1,511 @@
+import eventBus from 'modapp-eventbus';
+import { patchDiff } from './utils';
+import { observed } from './autorun';
+
+// Gets the underlying item of an entry, or the added item for an entry added
+// locally.
+function entryItem(e) {
+	return e.added ? e.value : e.item;
+}
+
+/**
+ * ModifyCollection wraps a {@link module:modapp~Collection}, providing a
+ * draft of the collection where items may be added, removed, moved, or
+ * modified without affecting the underlying collection.
+ *
+ * Each item of the underlying collection is wrapped using the model factory,
+ * such as by creating a {@link ModifyModel} draft for the item. The
+ * ModifyCollection has the additional property "isModified", set to true if
+ * the draft differs from the underlying collection, and emits a change event
+ * when it changes.
+ *
+ * It also listens to changes in the underlying collection. Added items are
+ * added to the draft. Removed items are removed from the draft. Moved items
+ * are moved in the draft unless they have been moved locally.
+ *
+ * Because ModifyCollection listens to the underlying collection, it needs to
+ * be disposed when not used anymore.
+ * @implements {module:modapp~Collection}
+ */
+class ModifyCollection {
+
+	/**
+	 * Creates a ModifyCollection instance.
+	 * @param {object} collection Collection object to wrap.
+	 * @param {object} [opt] Optional parameters.
+	 * @param {function} [opt.modelFactory] Model factory function, creating a draft of an item: function(item) -> draft. The draft should have an isModified property, and getModifications, commit, reset, and dispose methods. Defaults to using the items as is.
+	 * @param {function} [opt.idAttribute] Id attribute callback function. Defaults to returning the object.id property.
+	 * @param {string} [opt.namespace] Event bus namespace. Defaults to 'modifyCollection'.
+	 * @param {module:modapp~EventBus} [opt.eventBus] Event bus.
+	 */
+	constructor(collection, opt = {}) {
+		this._collection = collection;
+		this._modelFactory = opt.modelFactory || null;
+		this._idAttribute = opt.idAttribute || (m => m.id);
+		this._namespace = opt.namespace || 'modifyCollection';
+		this._eventBus = opt.eventBus || eventBus;
+		this._isModified = false;
+		// Events of operations applied by commit, not yet emitted by the
+		// underlying collection.
+		this._expected = [];
+
+		// Bind callbacks
+		this._onAdd = this._onAdd.bind(this);
+		this._onRemove = this._onRemove.bind(this);
+		this._onMove = this._onMove.bind(this);
+		this._onDraftChange = this._onDraftChange.bind(this);
+
+		// Items of the underlying collection, and the entries of the draft.
+		this._items = [];
+		this._entries = new Map();
+		this._list = [];
+		for (let item of collection) {
+			this._items.push(item);
+			this._list.push(this._createEntry(item));
+		}
+		this._isModified = !!this.getModifications();
+
+		this._setEventListener(true);
+	}
+
+	/**
+	 * Attach an event handler function for one or more instance events.
+	 * Available events are 'add', 'remove', 'move', and 'change'.
+	 * @param {?string} events One or more space-separated events. Null means any event.
+	 * @param {EventBus~eventCallback} [handler] A function to execute when the event is emitted.
+	 */
+	on(events, handler) {
+		this._eventBus.on(this, events, handler, this._namespace);
+	}
+
+	/**
+	 * Remove an instance event handler.
+	 * Available events are 'add', 'remove', 'move', and 'change'.
+	 * @param {?string} events One or more space-separated events. Null means any event.
+	 * @param {EventBus~eventCallback} [handler] An option handler function. The handler will only be remove if it is the same handler.
+	 */
+	off(events, handler) {
+		this._eventBus.off(this, events, handler, this._namespace);
+	}
+
+	/**
+	 * Flag telling if the draft differs from the underlying collection.
+	 * @type {boolean}
+	 */
+	get isModified() {
+		observed(this, 'change');
+		return this._isModified;
+	}
+
+	get length() {
+		observed(this, 'add remove move');
+		return this._list.length;
+	}
+
+	/**
+	 * Add an item to the draft.
+	 * @param {*} item Item to add.
+	 * @param {number} [idx] Index value of where to insert the item. Defaults to the end of the list.
+	 * @returns {number} Index value of where the item was inserted in the list.
+	 */
+	add(item, idx) {
+		if (typeof idx != 'number') {
+			idx = this._list.length;
+		} else if (idx < 0 || idx > this._list.length) {
+			throw new Error("Index out of bounds.");
+		}
+		this._insertEntry({ item: null, draft: null, value: item, added: true, moved: false }, idx);
+		this._setIsModified();
+		return idx;
+	}
+
+	/**
+	 * Remove an item from the draft.
+	 * @param {string} id Id of the item.
+	 * @returns {number} Order index of the item before removal. -1 if the item id doesn't exist.
+	 */
+	remove(id) {
+		let idx = this._indexOfId(id);
+		if (idx >= 0) {
+			this._removeEntry(idx);
+			this._setIsModified();
+		}
+		return idx;
+	}
+
+	/**
+	 * Remove an item at a given index from the draft.
+	 * @param {number} idx Index value of the item to remove.
+	 * @returns {*} Removed item.
+	 */
+	removeAtIndex(idx) {
+		if (idx < 0 || idx >= this._list.length) {
+			throw new Error("Index out of bounds.");
+		}
+		let e = this._removeEntry(idx);
+		this._setIsModified();
+		return e.value;
+	}
+
+	/**
+	 * Move an item within the draft.
+	 * If the position changed, this will trigger a move event.
+	 * @param {string} id Id of the item.
+	 * @param {number} idx Index to move the item to.
+	 * @returns {number} Order index of the item before moving. -1 if the item id doesn't exist.
+	 */
+	move(id, idx) {
+		let from = this._indexOfId(id);
+		if (from < 0) {
+			return -1;
+		}
+		if (idx < 0 || idx >= this._list.length) {
+			throw new Error("Index out of bounds.");
+		}
+		if (from !== idx) {
+			let e = this._list.splice(from, 1)[0];
+			this._list.splice(idx, 0, e);
+			e.moved = true;
+			this._eventBus.emit(this, this._namespace + '.move', { item: e.value, from, to: idx });
+			this._setIsModified();
+		}
+		return from;
+	}
+
+	/**
+	 * Get an item from the draft by id.
+	 * @param {string} id Id of the item.
+	 * @returns {*} Item. Undefined if the id doesn't exist.
+	 */
+	get(id) {
+		observed(this, 'add remove move');
+		let e = this._list[this._indexOfId(id)];
+		return e ? e.value : undefined;
+	}
+
+	atIndex(idx) {
+		observed(this, 'add remove move');
+		let e = this._list[idx];
+		return e ? e.value : undefined;
+	}
+
+	/**
+	 * Retrieves the order index of an item.
+	 * @param {*} item Item draft, or item of the underlying collection.
+	 * @returns {number} Order index of the item. -1 if the item doesn't exist.
+	 */
+	indexOf(item) {
+		observed(this, 'add remove move');
+		return this._list.findIndex(e => e.value === item || e.item === item);
+	}
+
+	/**
+	 * Returns an array of the collection items.
+	 * @returns {Array.<*>} An array of items.
+	 */
+	toArray() {
+		observed(this, 'add remove move');
+		return this._list.map(e => e.value);
+	}
+
+	/**
+	 * Returns the wrapped collection.
+	 * @returns {object}
+	 */
+	getCollection() {
+		return this._collection;
+	}
+
+	/**
+	 * Get the operations that would turn the underlying collection into the
+	 * draft, in the order they are to be applied. An operation is one of:
+	 *
+	 * - { type: 'remove', item, idx } for a removed item.
+	 * - { type: 'add', item, idx } for an added item.
+	 * - { type: 'move', item, from, to } for a moved item.
+	 * - { type: 'set', item, props } for an item whose draft is modified.
+	 *
+	 * The item is the item of the underlying collection, except for added
+	 * items.
+	 * @returns {?Array.<object>} Array of operations, or null if there are no modifications.
+	 */
+	getModifications() {
+		let ops = [];
+		let arr = this._items.slice();
+		for (let item of this._items) {
+			if (!this._entries.has(item)) {
+				let idx = arr.indexOf(item);
+				arr.splice(idx, 1);
+				ops.push({ type: 'remove', item, idx });
+			}
+		}
+
+		// Place added and moved items after their preceding item in the draft.
+		// Remaining items keep their relative order.
+		for (let i = 0; i < this._list.length; i++) {
+			let e = this._list[i];
+			if (!e.added && !e.moved) {
+				continue;
+			}
+			let from = e.added ? -1 : arr.indexOf(e.item);
+			if (from >= 0) {
+				arr.splice(from, 1);
+			}
+			let to = i ? arr.indexOf(entryItem(this._list[i - 1])) + 1 : 0;
+			arr.splice(to, 0, entryItem(e));
+			if (e.added) {
+				ops.push({ type: 'add', item: e.value, idx: to });
+			} else if (from !== to) {
+				ops.push({ type: 'move', item: e.item, from, to });
+			}
+		}
+
+		for (let e of this._list) {
+			if (e.draft && e.draft.isModified) {
+				ops.push({ type: 'set', item: e.item, props: e.draft.getModifications() });
+			}
+		}
+		return ops.length ? ops : null;
+	}
+
+	/**
+	 * Commits the modifications by applying the operations to the underlying
+	 * collection, and committing the modified item drafts.
+	 *
+	 * Removes and adds are applied using removeAtIndex and add, and moves
+	 * using move with the item id. On failure, the operations not yet applied
+	 * remain as modifications.
+	 * @returns {Promise} Promise to the commit. Resolves to the applied operations, or null if there were no modifications.
+	 */
+	commit() {
+		let ops = this.getModifications();
+		if (!ops) {
+			return Promise.resolve(null);
+		}
+		return Promise.resolve()
+			.then(() => {
+				for (let op of ops) {
+					this._applyOp(op);
+				}
+				this._setIsModified();
+				let drafts = ops.filter(op => op.type == 'set').map(op => this._entries.get(op.item).draft);
+				return Promise.all(drafts.map(d => d.commit()));
+			})
+			.then(() => {
+				this._setIsModified();
+				return ops;
+			});
+	}
+
+	/**
+	 * Resets the draft to the underlying collection, clearing any added,
+	 * removed, or moved items, and resetting the item drafts.
+	 * @returns {Promise} Promise to the reset of the items.
+	 */
+	reset() {
+		let target = this._items.map(item => {
+			let e = this._entries.get(item) || this._createEntry(item);
+			e.moved = false;
+			return e;
+		});
+		patchDiff(this._list.slice(), target,
+			(e, n, idx) => this._insertEntry(e, idx),
+			(e, m, idx) => this._removeEntry(idx, target.indexOf(e) >= 0)
+		);
+		let drafts = this._list.filter(e => e.draft && e.draft.isModified).map(e => e.draft.reset());
+		this._setIsModified();
+		return Promise.all(drafts);
+	}
+
+	_applyOp(op) {
+		let c = this._collection;
+		if (!c) {
+			throw new Error("Collection is disposed.");
+		}
+		switch (op.type) {
+			case 'remove':
+				c.removeAtIndex(op.idx);
+				this._items.splice(op.idx, 1);
+				this._expected.push({ type: 'remove', item: op.item });
+				break;
+			case 'add': {
+				let idx = c.add(op.item, op.idx);
+				let item = c.atIndex(idx);
+				this._items.splice(idx, 0, item);
+				this._expected.push({ type: 'add', item });
+				this._replaceAdded(op.item, item);
+				break;
+			}
+			case 'move':
+				c.move(this._idAttribute(op.item), op.to);
+				this._items.splice(op.from, 1);
+				this._items.splice(op.to, 0, op.item);
+				this._expected.push({ type: 'move', item: op.item });
+				this._entries.get(op.item).moved = false;
+				break;
+		}
+	}
+
+	// Replaces a locally added entry with an entry for the item added to the
+	// underlying collection.
+	_replaceAdded(value, item) {
+		let idx = this._list.findIndex(e => e.added && e.value === value);
+		let e = this._createEntry(item);
+		if (e.value === value) {
+			this._list[idx] = e;
+			return;
+		}
+		this._removeEntry(idx);
+		this._insertEntry(e, idx);
+	}
+
+	// Removes a matching event from the expected events. Returns true if found.
+	_isExpected(type, item) {
+		let i = this._expected.findIndex(ev => ev.type === type && ev.item === item);
+		if (i < 0) {
+			return false;
+		}
+		this._expected.splice(i, 1);
+		return true;
+	}
+
+	_indexOfId(id) {
+		return this._list.findIndex(e => this._idAttribute(e.value) === id);
+	}
+
+	_createEntry(item) {
+		let draft = this._modelFactory ? this._modelFactory(item) : null;
+		if (draft === item) {
+			draft = null;
+		}
+		if (draft && typeof draft.on == 'function') {
+			draft.on('change', this._onDraftChange);
+		}
+		let e = { item, draft, value: draft || item, added: false, moved: false };
+		this._entries.set(item, e);
+		return e;
+	}
+
+	_disposeEntry(e) {
+		if (e.item !== null) {
+			this._entries.delete(e.item);
+		}
+		if (e.draft) {
+			if (typeof e.draft.off == 'function') {
+				e.draft.off('change', this._onDraftChange);
+			}
+			if (typeof e.draft.dispose == 'function') {
+				e.draft.dispose();
+			}
+		}
+	}
+
+	_insertEntry(e, idx) {
+		this._list.splice(idx, 0, e);
+		this._eventBus.emit(this, this._namespace + '.add', { item: e.value, idx });
+	}
+
+	_removeEntry(idx, keep) {
+		let e = this._list.splice(idx, 1)[0];
+		if (!keep) {
+			this._disposeEntry(e);
+		}
+		this._eventBus.emit(this, this._namespace + '.remove', { item: e.value, idx });
+		return e;
+	}
+
+	// Gets the draft index where an item of the underlying collection should
+	// be placed, after the closest preceding item not moved or removed
+	// locally.
+	_insertIndex(item) {
+		for (let i = this._items.indexOf(item) - 1; i >= 0; i--) {
+			let e = this._entries.get(this._items[i]);
+			if (e && !e.moved) {
+				return this._list.indexOf(e) + 1;
+			}
+		}
+		return 0;
+	}
+
+	_setEventListener(on) {
+		let cb = on ? 'on' : 'off';
+		if (this._collection && this._collection.on) {
+			this._collection[cb]('add', this._onAdd);
+			this._collection[cb]('remove', this._onRemove);
+			this._collection[cb]('move', this._onMove);
+		}
+	}
+
+	_onAdd(ev) {
+		if (!this._collection || this._isExpected('add', ev.item)) return;
+
+		this._items.splice(ev.idx, 0, ev.item);
+		this._insertEntry(this._createEntry(ev.item), this._insertIndex(ev.item));
+		this._setIsModified();
+	}
+
+	_onRemove(ev) {
+		if (!this._collection || this._isExpected('remove', ev.item)) return;
+
+		let i = this._items[ev.idx] === ev.item ? ev.idx : this._items.indexOf(ev.item);
+		if (i < 0) return;
+		this._items.splice(i, 1);
+
+		let e = this._entries.get(ev.item);
+		if (e) {
+			this._removeEntry(this._list.indexOf(e));
+		}
+		this._setIsModified();
+	}
+
+	_onMove(ev) {
+		if (!this._collection || this._isExpected('move', ev.item)) return;
+
+		let i = this._items[ev.from] === ev.item ? ev.from : this._items.indexOf(ev.item);
+		if (i < 0) return;
+		this._items.splice(i, 1);
+		this._items.splice(ev.to, 0, ev.item);
+
+		let e = this._entries.get(ev.item);
+		if (e && !e.moved) {
+			let from = this._list.indexOf(e);
+			this._list.splice(from, 1);
+			let to = this._insertIndex(ev.item);
+			this._list.splice(to, 0, e);
+			if (from !== to) {
+				this._eventBus.emit(this, this._namespace + '.move', { item: e.value, from, to });
+			}
+		}
+		this._setIsModified();
+	}
+
+	_onDraftChange() {
+		this._setIsModified();
+	}
+
+	_setIsModified() {
+		let v = !!this.getModifications();
+		if (v !== this._isModified) {
+			this._isModified = v;
+			this._eventBus.emit(this, this._namespace + '.change', { isModified: !v });
+		}
+	}
+
+	dispose() {
+		this._setEventListener(false);
+		for (let e of this._list) {
+			this._disposeEntry(e);
+		}
+		this._list = [];
+		this._entries = new Map();
+		this._items = [];
+		this._collection = null;
+	}
+
+	[Symbol.iterator]() {
+		observed(this, 'add remove move');
+		return this._list.map(e => e.value)[Symbol.iterator]();
+	}
+}
+
+export default ModifyCollection;
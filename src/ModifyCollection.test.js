@@ -0,0 +1,319 @@
+import Collection from './Collection';
+import Model from './Model';
+import ModifyModel from './ModifyModel';
+import ModifyCollection from './ModifyCollection';
+import eventBus from 'modapp-eventbus';
+
+describe("ModifyCollection", () => {
+	let collection;
+	let modify;
+	let events;
+	let onEvent;
+
+	jest.useFakeTimers();
+
+	beforeEach(() => {
+		// Clear eventbus listeners
+		eventBus._evs = {};
+
+		collection = new Collection({
+			data: [
+				{ id: 10, fruit: 'banana' },
+				{ id: 20, fruit: 'pineapple' },
+				{ id: 30, fruit: 'orange' }
+			],
+			modelFactory: data => new Model({ data })
+		});
+		modify = new ModifyCollection(collection, {
+			modelFactory: m => new ModifyModel(m)
+		});
+		events = [];
+		onEvent = jest.fn((ev, target, event) => events.push([ event.replace('modifyCollection.', ''), ev ]));
+		modify.on(null, onEvent);
+	});
+
+	afterEach(() => {
+		jest.runAllTimers();
+		modify.off(null, onEvent);
+		modify.dispose();
+		// Validate we dont have any undisposed listeners
+		expect(Object.keys(eventBus._evs)).toEqual([]);
+	});
+
+	function fruits() {
+		return modify.toArray().map(m => m.fruit);
+	}
+
+	function ids(c) {
+		return c.toArray().map(m => m.id);
+	}
+
+	it("wraps the items using the model factory", () => {
+		expect(modify.length).toBe(3);
+		expect(modify.atIndex(0)).toBeInstanceOf(ModifyModel);
+		expect(modify.atIndex(0).getModel()).toBe(collection.atIndex(0));
+		expect(Array.from(modify).map(m => m.fruit)).toEqual([ 'banana', 'pineapple', 'orange' ]);
+		expect(modify.isModified).toBe(false);
+	});
+
+	it("uses the items as is without a model factory", () => {
+		let m = new ModifyCollection(collection);
+		expect(m.atIndex(1)).toBe(collection.atIndex(1));
+		expect(m.getModifications()).toBe(null);
+		m.dispose();
+	});
+
+	it("gets the index of an item draft or an underlying item", () => {
+		expect(modify.indexOf(modify.atIndex(1))).toBe(1);
+		expect(modify.indexOf(collection.atIndex(2))).toBe(2);
+		expect(modify.indexOf({})).toBe(-1);
+	});
+
+	it("sets isModified and emits a change event on modification of an item", () => {
+		modify.atIndex(1).set({ fruit: 'apple' });
+		jest.runAllTimers();
+		expect(modify.isModified).toBe(true);
+		expect(events).toEqual([[ 'change', { isModified: false }]]);
+		expect(collection.atIndex(1).fruit).toBe('pineapple');
+	});
+
+	it("returns modifications as set operations", () => {
+		modify.atIndex(1).set({ fruit: 'apple' });
+		jest.runAllTimers();
+		expect(modify.getModifications()).toEqual([
+			{ type: 'set', item: collection.atIndex(1), props: { fruit: 'apple' }}
+		]);
+	});
+
+	it("commits modifications of the items", () => {
+		modify.atIndex(1).set({ fruit: 'apple' });
+		jest.runAllTimers();
+		return modify.commit().then(ops => {
+			jest.runAllTimers();
+			expect(ops.length).toBe(1);
+			expect(collection.atIndex(1).fruit).toBe('apple');
+			expect(modify.isModified).toBe(false);
+		});
+	});
+
+	it("resolves commit to null when there are no modifications", () => {
+		return expect(modify.commit()).resolves.toBe(null);
+	});
+
+	it("resets modifications of the items", () => {
+		modify.atIndex(1).set({ fruit: 'apple' });
+		jest.runAllTimers();
+		return modify.reset().then(() => {
+			jest.runAllTimers();
+			expect(fruits()).toEqual([ 'banana', 'pineapple', 'orange' ]);
+			expect(modify.isModified).toBe(false);
+		});
+	});
+
+	it("follows items added to the underlying collection", () => {
+		collection.add({ id: 40, fruit: 'kiwi' }, 1);
+		jest.runAllTimers();
+		expect(fruits()).toEqual([ 'banana', 'kiwi', 'pineapple', 'orange' ]);
+		expect(events).toEqual([[ 'add', { item: modify.atIndex(1), idx: 1 }]]);
+	});
+
+	it("follows items removed from the underlying collection", () => {
+		let draft = modify.atIndex(1);
+		draft.set({ fruit: 'apple' });
+		jest.runAllTimers();
+		events = [];
+		collection.remove(20);
+		jest.runAllTimers();
+		expect(fruits()).toEqual([ 'banana', 'orange' ]);
+		expect(events).toEqual([
+			[ 'remove', { item: draft, idx: 1 }],
+			[ 'change', { isModified: true }]
+		]);
+	});
+
+	it("follows items moved in the underlying collection", () => {
+		let draft = modify.atIndex(0);
+		collection.move(10, 2);
+		jest.runAllTimers();
+		expect(fruits()).toEqual([ 'pineapple', 'orange', 'banana' ]);
+		expect(events).toEqual([[ 'move', { item: draft, from: 0, to: 2 }]]);
+	});
+
+	describe("local modifications", () => {
+		it("adds an item locally", () => {
+			let item = { id: 40, fruit: 'kiwi' };
+			expect(modify.add(item, 1)).toBe(1);
+			jest.runAllTimers();
+			expect(fruits()).toEqual([ 'banana', 'kiwi', 'pineapple', 'orange' ]);
+			expect(modify.atIndex(1)).toBe(item);
+			expect(ids(collection)).toEqual([ 10, 20, 30 ]);
+			expect(modify.isModified).toBe(true);
+			expect(modify.getModifications()).toEqual([{ type: 'add', item, idx: 1 }]);
+			expect(events).toEqual([
+				[ 'add', { item, idx: 1 }],
+				[ 'change', { isModified: false }]
+			]);
+		});
+
+		it("adds an item locally at the end by default", () => {
+			expect(modify.add({ id: 40, fruit: 'kiwi' })).toBe(3);
+			expect(fruits()).toEqual([ 'banana', 'pineapple', 'orange', 'kiwi' ]);
+		});
+
+		it("removes an item locally", () => {
+			let draft = modify.atIndex(1);
+			expect(modify.remove(20)).toBe(1);
+			jest.runAllTimers();
+			expect(fruits()).toEqual([ 'banana', 'orange' ]);
+			expect(ids(collection)).toEqual([ 10, 20, 30 ]);
+			expect(modify.getModifications()).toEqual([{ type: 'remove', item: collection.atIndex(1), idx: 1 }]);
+			expect(events).toEqual([
+				[ 'remove', { item: draft, idx: 1 }],
+				[ 'change', { isModified: false }]
+			]);
+		});
+
+		it("removes an item locally by index", () => {
+			let draft = modify.atIndex(0);
+			expect(modify.removeAtIndex(0)).toBe(draft);
+			expect(fruits()).toEqual([ 'pineapple', 'orange' ]);
+		});
+
+		it("returns -1 when removing or moving a missing id", () => {
+			expect(modify.remove(99)).toBe(-1);
+			expect(modify.move(99, 0)).toBe(-1);
+			expect(modify.isModified).toBe(false);
+		});
+
+		it("throws on index out of bounds", () => {
+			expect(() => modify.add({ id: 40 }, 4)).toThrow();
+			expect(() => modify.removeAtIndex(3)).toThrow();
+			expect(() => modify.move(10, 3)).toThrow();
+		});
+
+		it("moves an item locally", () => {
+			let draft = modify.atIndex(0);
+			expect(modify.move(10, 2)).toBe(0);
+			jest.runAllTimers();
+			expect(fruits()).toEqual([ 'pineapple', 'orange', 'banana' ]);
+			expect(ids(collection)).toEqual([ 10, 20, 30 ]);
+			expect(modify.getModifications()).toEqual([{ type: 'move', item: collection.atIndex(0), from: 0, to: 2 }]);
+			expect(events).toEqual([
+				[ 'move', { item: draft, from: 0, to: 2 }],
+				[ 'change', { isModified: false }]
+			]);
+		});
+
+		it("is not modified when an item is moved back", () => {
+			modify.move(10, 2);
+			modify.move(10, 0);
+			expect(modify.isModified).toBe(false);
+			expect(modify.getModifications()).toBe(null);
+		});
+
+		it("gets an item by id", () => {
+			expect(modify.get(20)).toBe(modify.atIndex(1));
+			expect(modify.get(99)).toBe(undefined);
+		});
+
+		it("returns operations in the order they are to be applied", () => {
+			let item = { id: 40, fruit: 'kiwi' };
+			modify.remove(20);
+			modify.move(30, 0);
+			modify.add(item, 1);
+			modify.get(10).set({ fruit: 'apple' });
+			jest.runAllTimers();
+			expect(modify.getModifications()).toEqual([
+				{ type: 'remove', item: collection.atIndex(1), idx: 1 },
+				{ type: 'move', item: collection.atIndex(2), from: 1, to: 0 },
+				{ type: 'add', item, idx: 1 },
+				{ type: 'set', item: collection.atIndex(0), props: { fruit: 'apple' }}
+			]);
+		});
+
+		it("commits local modifications to the underlying collection", () => {
+			modify.remove(20);
+			modify.move(30, 0);
+			modify.add({ id: 40, fruit: 'kiwi' }, 1);
+			modify.get(10).set({ fruit: 'apple' });
+			jest.runAllTimers();
+			return modify.commit().then(ops => {
+				expect(ops.length).toBe(4);
+				expect(ids(collection)).toEqual([ 30, 40, 10 ]);
+				expect(collection.get(10).fruit).toBe('apple');
+				expect(modify.isModified).toBe(false);
+				jest.runAllTimers();
+				expect(ids(modify)).toEqual([ 30, 40, 10 ]);
+				expect(modify.isModified).toBe(false);
+				expect(modify.getModifications()).toBe(null);
+			});
+		});
+
+		it("replaces added items with drafts of the committed items", () => {
+			modify.add({ id: 40, fruit: 'kiwi' }, 1);
+			return modify.commit().then(() => {
+				jest.runAllTimers();
+				expect(modify.atIndex(1)).toBeInstanceOf(ModifyModel);
+				expect(modify.atIndex(1).getModel()).toBe(collection.get(40));
+				expect(fruits()).toEqual([ 'banana', 'kiwi', 'pineapple', 'orange' ]);
+			});
+		});
+
+		it("resets local modifications", () => {
+			modify.remove(20);
+			modify.move(30, 0);
+			modify.add({ id: 40, fruit: 'kiwi' }, 1);
+			modify.get(10).set({ fruit: 'apple' });
+			jest.runAllTimers();
+			return modify.reset().then(() => {
+				jest.runAllTimers();
+				expect(fruits()).toEqual([ 'banana', 'pineapple', 'orange' ]);
+				expect(modify.atIndex(0).getModel()).toBe(collection.atIndex(0));
+				expect(modify.isModified).toBe(false);
+			});
+		});
+	});
+
+	describe("underlying changes with local modifications", () => {
+		it("adds an underlying item after its preceding item", () => {
+			modify.move(30, 0);
+			collection.add({ id: 40, fruit: 'kiwi' }, 1);
+			jest.runAllTimers();
+			expect(fruits()).toEqual([ 'orange', 'banana', 'kiwi', 'pineapple' ]);
+			expect(modify.getModifications()).toEqual([{ type: 'move', item: collection.get(30), from: 3, to: 0 }]);
+		});
+
+		it("ignores underlying moves of locally moved items", () => {
+			modify.move(10, 2);
+			collection.move(10, 1);
+			jest.runAllTimers();
+			expect(fruits()).toEqual([ 'pineapple', 'orange', 'banana' ]);
+		});
+
+		it("follows underlying moves of items not moved locally", () => {
+			modify.move(10, 2);
+			collection.move(30, 0);
+			jest.runAllTimers();
+			expect(fruits()).toEqual([ 'orange', 'pineapple', 'banana' ]);
+		});
+
+		it("removes an underlying removed item moved locally", () => {
+			modify.move(10, 2);
+			collection.remove(10);
+			jest.runAllTimers();
+			expect(fruits()).toEqual([ 'pineapple', 'orange' ]);
+			expect(modify.isModified).toBe(false);
+		});
+
+		it("is not modified when an item removed locally is removed from the underlying collection", () => {
+			modify.remove(20);
+			jest.runAllTimers();
+			events = [];
+			collection.remove(20);
+			jest.runAllTimers();
+			expect(fruits()).toEqual([ 'banana', 'orange' ]);
+			expect(modify.isModified).toBe(false);
+			expect(events).toEqual([[ 'change', { isModified: true }]]);
+		});
+	});
+});
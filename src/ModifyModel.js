@@ -1,5 +1,13 @@
 import eventBus from 'modapp-eventbus';
 import { obj } from 'modapp-utils';
+import Model from './Model';
+import ModifyCollection from './ModifyCollection';
+import { transaction, emitChange } from './transaction';
+import { observed } from './autorun';
+import { promoteProperty, expandPaths, pathValues, addPathChanges, changeRecord } from './utils';
+import { ValidationError } from './validation';
+import { addMiddleware, applyMiddleware } from './middleware';
+import { setMeta, getMeta, listen } from './meta';
 
 function hasProps(m) {
 	return m && m.props && typeof m.props == 'object' ? m.props : null;
@@ -27,11 +35,26 @@ function getProps(m) {
  * its own properties to the match.
  *
  * Any property modification that will cause a difference between the models
- * will set the additional property "isModified" to be true.
+ * will set the additional property "isModified" to be true. Which properties
+ * are modified is available through the modified model.
  *
  * It also listens to changed in the underlying model. If a non-modified
  * property is changed, the ModifyModel will update its own property.
  *
+ * If a modified property is changed in the underlying model away from the
+ * value the modification was based on, the property is added to the
+ * conflicts, and a conflict event is emitted. A conflict may be resolved with
+ * keepLocal or takeRemote, or automatically by a merge callback.
+ *
+ * In deep mode, properties holding a Model or Collection are replaced by a
+ * nested ModifyModel or {@link ModifyCollection} draft. Modifications made to
+ * a draft will set isModified, and are included when getting modifications,
+ * committing, or resetting.
+ *
+ * With a validate callback, the properties are validated on each change, and
+ * any error messages are available through the errors model. Commit is
+ * refused while there are errors.
+ *
  * Because ModifyModel listens to the underlying model, it needs to be disposed
  * when not used anymore.
  * @implements {module:modapp~Model}
@@ -49,10 +72,24 @@ class ModifyModel {
 	 * @param {function} [opt.onChange] Callback called whenever the underlying model has changed. function(this, change)
 	 * @param {module:modapp~EventBus} [opt.eventBus] Event bus.
 	 * @param {boolean} [opt.modifiedOnNew] [opt.modifiedOnNew] Flag telling if model is considered modified on new properties not existing on the wrapped model. Defaults to false.
+	 * @param {ModifyModel~mergeCallback} [opt.merge] Callback called to merge a conflicting remote change with a modification.
+	 * @param {boolean} [opt.deep] Flag telling if properties holding a Model or Collection should be replaced by nested drafts. Defaults to false.
+	 * @param {ModifyModel~validateCallback} [opt.validate] Callback validating the properties on change.
+	 * @param {boolean} [opt.richEvents] Flag telling if a changeRecord event, with the old and new values, should be emitted after each change event.
 	 */
 	constructor(model, opt = {}) {
 		this._model = model;
 		this._modification = {};
+		// Committed modifications, with the commit's modifications as value.
+		this._pending = {};
+		// Underlying model values that the modifications are based on.
+		this._base = {};
+		this._conflicts = {};
+		this._merge = opt.merge || null;
+		this._deep = !!opt.deep;
+		this._richEvents = !!opt.richEvents;
+		// Nested drafts of Model or Collection properties in deep mode.
+		this._drafts = {};
 
 		this._eventBus = opt.eventBus || eventBus;
 		this._namespace = opt.namespace || 'modifyModel';
@@ -61,8 +98,26 @@ class ModifyModel {
 		this._modifiedOnNew = !!opt.modifiedOnNew;
 		this._onChange = opt.onChange || null;
 		this._props = {};
+		this._modified = new Model({ namespace: this._namespace + '.modified', eventBus: this._eventBus, internal: true });
+		this._validate = opt.validate || null;
+		this._errors = new Model({ namespace: this._namespace + '.errors', eventBus: this._eventBus, internal: true });
+		this._validating = false;
+		this._validationId = 0;
+		this._validation = null;
+		this._validationError = null;
+
+		// Bind callbacks
+		this._onModelChange = this._onModelChange.bind(this);
+		this._onDraftChange = this._onDraftChange.bind(this);
 
-		this._setIsModified(this._update(getProps(model)));
+		let props = getProps(model);
+		if (this._deep && props) {
+			props = Object.assign({}, props);
+			for (let k in props) {
+				props[k] = this._remote(k);
+			}
+		}
+		this._setIsModified(this._update(props));
 		if (opt.props) {
 			this._setIsModified(this._update(opt.props));
 		}
@@ -70,18 +125,23 @@ class ModifyModel {
 		this._onCount = 0;
 		this._timeout = null;
 
-		// Bind callbacks
-		this._onModelChange = this._onModelChange.bind(this);
 		this._setEventListener(true);
 	}
 
 	/**
 	 * Attach an event handler function for one or more session events.
+	 *
+	 * With rich events, a changeRecord event is emitted after each change
+	 * event, with a {@link Model~changeRecord} for each changed property.
+	 *
+	 * Change and changeRecord handlers are called with the metadata passed on
+	 * set, or carried by the change of the underlying model, as third
+	 * argument: function(change, model, meta, event, action)
 	 * @param {?string} events One or more space-separated events. Null means any event.
 	 * @param {Event~eventCallback} handler A function to execute when the event is emitted.
 	 */
 	on(events, handler) {
-		this._eventBus.on(this, events, handler, this._namespace);
+		listen(this._eventBus, this, events, handler, this._namespace, [ 'change', 'changeRecord' ], true);
 	}
 
 	/**
@@ -90,30 +150,166 @@ class ModifyModel {
 	 * @param {Event~eventCallback} [handler] An option handler function. The handler will only be remove if it is the same handler.
 	 */
 	off(events, handler) {
-		this._eventBus.off(this, events, handler, this._namespace);
+		listen(this._eventBus, this, events, handler, this._namespace, [ 'change', 'changeRecord' ], false);
 	}
 
 	/**
 	 * Sets model properties
 	 * If any property where changed, this will trigger a change event.
+	 *
+	 * A nested value may be set using a dot-separated path as key, such as
+	 * 'address.city'. As with Model.set, the change event contains the changed
+	 * path with its old value as a non-enumerable property.
+	 *
+	 * The properties are passed through any middleware before being set.
 	 * @param {object} props Properties to set
+	 * @param {meta~meta} [meta] Metadata passed with the change event.
 	 * @returns {Promise} Promise to the setting of the properties.
 	 */
-	set(props) {
+	set(props, meta) {
+		return applyMiddleware(this._middleware, props, { model: this, meta: meta || null }, p => this._set(p && expandPaths(p, this._props), meta, p && pathValues(p, this._props)));
+	}
+
+	/**
+	 * Adds a middleware called on each set of this model, after any global
+	 * middleware added with Model.use.
+	 * @param {middleware~middleware} middleware Middleware callback.
+	 * @returns {function} Function removing the middleware.
+	 */
+	use(middleware) {
+		this._middleware = this._middleware || [];
+		return addMiddleware(this._middleware, middleware);
+	}
+
+	_set(props, meta, paths) {
 		let changed = props ? this._update(props) : null;
 		changed = this._setIsModified(changed);
 
 		if (changed) {
-			this._eventBus.emit(this, this._namespace + '.change', changed);
+			addPathChanges(changed, paths, this._props);
+			emitChange(this, this._props, changed, c => {
+				this._eventBus.emit(this, this._namespace + '.change', setMeta(c, meta));
+				if (this._richEvents) {
+					this._eventBus.emit(this, this._namespace + '.changeRecord', setMeta(changeRecord(c, this._props), meta));
+				}
+			});
+			if (Object.keys(changed).some(k => k !== this._modProp)) {
+				this._clearErrors(changed);
+				if (this._validate) {
+					this.validate().catch(() => {});
+				}
+			}
 		}
 
 		return Promise.resolve(changed);
 	}
 
+	/**
+	 * Calls a function within a transaction, emitting a single change event
+	 * once the outermost transaction ends.
+	 * @param {function} fn Function to call.
+	 * @returns {*} Return value of fn.
+	 */
+	batch(fn) {
+		return transaction(fn);
+	}
+
 	get props() {
+		observed(this, 'change');
 		return this._props;
 	}
 
+	/**
+	 * Model with the error message of each invalid property, with the
+	 * property as key.
+	 * @type {Model}
+	 */
+	get errors() {
+		return this._errors;
+	}
+
+	/**
+	 * Flag telling if an async validation is in progress. A change is
+	 * signaled with a validating event.
+	 * @type {boolean}
+	 */
+	get validating() {
+		observed(this, 'validating');
+		return this._validating;
+	}
+
+	/**
+	 * Validates the properties using the validate callback, replacing the
+	 * errors with the result. If called again before a previous validation
+	 * has completed, the result of the previous validation is discarded.
+	 * Until the next validation, a failed validation causes commit to be
+	 * refused with the validation's error.
+	 * @returns {Promise.<?object>} Promise to the error messages of the latest validation. Resolves to null if there are no errors or no validate callback.
+	 */
+	validate() {
+		if (!this._validate) {
+			return Promise.resolve(null);
+		}
+		let id = ++this._validationId;
+		let result;
+		try {
+			result = this._validate(this._props, this.getModifications());
+		} catch (err) {
+			this._setValidating(false);
+			this._validationError = err;
+			this._validation = Promise.reject(err);
+			return this._validation;
+		}
+		this._validationError = null;
+		if (!result || typeof result.then != 'function') {
+			this._setValidating(false);
+			this._setErrors(result);
+			this._validation = Promise.resolve(result || null);
+			return this._validation;
+		}
+
+		this._setValidating(true);
+		this._validation = result.then(errors => {
+			if (id !== this._validationId) {
+				return this._validation;
+			}
+			this._setValidating(false);
+			this._setErrors(errors);
+			return errors || null;
+		}, err => {
+			if (id !== this._validationId) {
+				return this._validation;
+			}
+			this._setValidating(false);
+			this._validationError = err;
+			throw err;
+		});
+		return this._validation;
+	}
+
+	/**
+	 * Sets errors, such as errors returned from a server, replacing any
+	 * current errors. Any validation in progress is discarded. The error of a
+	 * property is cleared when the property changes.
+	 * @param {?object} errors Error messages, with the invalid property as key.
+	 */
+	setErrors(errors) {
+		this._validationId++;
+		this._validation = null;
+		this._validationError = null;
+		this._setValidating(false);
+		this._setErrors(errors);
+	}
+
+	/**
+	 * Model with a property set to true for each modified property. It is
+	 * updated whenever the modifications change.
+	 * @type {Model}
+	 */
+	get modified() {
+		return this._modified;
+	}
+
 	/**
 	 * Resets a single or all model properties to the underlying model, clearing
 	 * any modifications. If any property where changed or is missing, this will
@@ -122,62 +318,344 @@ class ModifyModel {
 	 * @returns {Promise} Promise to the setting of the properties.
 	 */
 	reset(prop) {
+		let keys = prop
+			? [ prop ]
+			: Object.keys(this._modification).concat(Object.keys(this._drafts));
 		let o = {};
-		let m = hasProps(this._model) || this._model;
-		if (prop) {
-			if (this._modification.hasOwnProperty(prop)) {
-				o[prop] = m[prop];
-			}
-		} else {
-			for (let k in this._modification) {
-				o[k] = m[k];
+		for (let k of keys) {
+			if (this._modification.hasOwnProperty(k)) {
+				o[k] = this._remote(k);
 			}
 		}
-		return this.set(o);
+		let promise = this._set(o);
+		let drafts = keys.filter(k => this._isDraft(k)).map(k => this._drafts[k].reset());
+		return drafts.length
+			? Promise.all([ promise ].concat(drafts)).then(result => result[0])
+			: promise;
 	}
 
 	/**
 	 * Get the modifications in ModifyModel in comparison to the underlying model object.
+	 * In deep mode, the modifications of a nested draft are included as the draft's modifications.
 	 * @returns {?object} Key/value object with modified properties and their new value. Null if there are no modifications.
 	 */
 	getModifications() {
-		return Object.keys(this._modification).length
-			? Object.assign({}, this._modification)
-			: null;
+		let o = Object.assign({}, this._modification);
+		for (let k of this._modifiedDraftKeys()) {
+			o[k] = this._drafts[k].getModifications();
+		}
+		return Object.keys(o).length ? o : null;
+	}
+
+	/**
+	 * Get the modifications being committed to the underlying model, awaiting
+	 * the set to complete.
+	 * @returns {?object} Key/value object with pending properties and their committed value. Null if there are no pending modifications.
+	 */
+	getPending() {
+		let o = null;
+		for (let k in this._pending) {
+			o = o || {};
+			o[k] = this._pending[k][k];
+		}
+		return o;
+	}
+
+	/**
+	 * Commits the modifications by setting them on the underlying model.
+	 *
+	 * The modifications are kept, and marked as pending, until the set
+	 * completes. On success, any modification not changed since the commit is
+	 * cleared. On failure, the modifications remain and an error event is
+	 * emitted.
+	 *
+	 * In deep mode, modified nested drafts are committed as well.
+	 *
+	 * If there are any errors, or if the latest validation failed, commit is
+	 * refused. Any validation in progress is awaited before checking the
+	 * errors.
+	 *
+	 * A set callback may be used in place of the underlying model's set
+	 * method, such as for sending the modifications to a server. On success,
+	 * the modifications are then kept until the underlying model is updated
+	 * with the committed values.
+	 * @param {function} [set] Callback setting the modifications: function(modifications) -> Promise
+	 * @returns {Promise} Promise to the setting of the underlying model. Resolves to null if there were no modifications. Rejects with a ValidationError if there are errors, or with the validation's error if the latest validation failed.
+	 */
+	commit(set) {
+		return this._validating
+			? this._validation.then(() => this._commitValid(set), () => this._commitValid(set))
+			: this._commitValid(set);
+	}
+
+	_commitValid(set) {
+		if (this._validationError) {
+			return Promise.reject(this._validationError);
+		}
+		let errors = this._errors.props;
+		if (Object.keys(errors).length) {
+			return Promise.reject(new ValidationError(Object.assign({}, errors)));
+		}
+		let drafts = this._modifiedDraftKeys().map(k => this._drafts[k]);
+		if (!Object.keys(this._modification).length) {
+			return drafts.length
+				? Promise.all(drafts.map(d => d.commit())).then(() => null)
+				: Promise.resolve(null);
+		}
+		if (!set && (!this._model || typeof this._model.set != 'function')) {
+			return Promise.reject(new Error("No set method on underlying model."));
+		}
+
+		let promise = this._commit(Object.assign({}, this._modification), set);
+		return drafts.length
+			? Promise.all([ promise ].concat(drafts.map(d => d.commit()))).then(result => result[0])
+			: promise;
+	}
+
+	_commit(mods, set) {
+		for (let k in mods) {
+			this._pending[k] = mods;
+		}
+
+		return Promise.resolve()
+			.then(() => set ? set(mods) : this._model.set(mods))
+			.then(result => {
+				this._onCommit(mods, true, !!set);
+				return result;
+			}, err => {
+				this._onCommit(mods, false);
+				this._eventBus.emit(this, this._namespace + '.error', { error: err, props: mods });
+				throw err;
+			});
+	}
+
+	/**
+	 * Conflicting properties, where both the ModifyModel and the underlying
+	 * model have changed the value.
+	 * @type {Object.<string, ModifyModel~conflict>}
+	 */
+	get conflicts() {
+		return Object.assign({}, this._conflicts);
+	}
+
+	/**
+	 * Resolves a conflict by keeping the modified value. The current value of
+	 * the underlying model becomes the new base of the modification.
+	 * @param {string} key Conflicting property.
+	 * @returns {boolean} True if the conflict was resolved, false if there was no conflict.
+	 */
+	keepLocal(key) {
+		if (!this._conflicts.hasOwnProperty(key)) {
+			return false;
+		}
+		this._base[key] = this._conflicts[key].remote;
+		delete this._conflicts[key];
+		return true;
+	}
+
+	/**
+	 * Resolves a conflict by discarding the modification and taking the value
+	 * of the underlying model.
+	 * @param {string} key Conflicting property.
+	 * @returns {Promise} Promise to the setting of the property. Resolves to false if there was no conflict.
+	 */
+	takeRemote(key) {
+		if (!this._conflicts.hasOwnProperty(key)) {
+			return Promise.resolve(false);
+		}
+		delete this._conflicts[key];
+		return this.reset(key);
 	}
 
 	getModel() {
 		return this._model;
 	}
 
+	/**
+	 * Clears the pending state of committed modifications.
+	 * @param {object} mods Committed modifications.
+	 * @param {boolean} success Flag telling if the commit succeeded.
+	 * @param {boolean} wait Flag telling if successfully committed modifications should be kept until the underlying model is updated.
+	 * @private
+	 */
+	_onCommit(mods, success, wait) {
+		let o = {};
+		for (let k in mods) {
+			if (this._pending[k] !== mods) {
+				continue;
+			}
+			delete this._pending[k];
+			if (!this._model) {
+				continue;
+			}
+			let v = this._remote(k);
+			if (success && !wait) {
+				// Clear modification unless it has been changed since commit.
+				if (this._modification[k] === mods[k]) {
+					this._clearModification(k);
+					o[k] = v;
+				} else {
+					this._base[k] = mods[k];
+				}
+			} else if (this._props[k] === v) {
+				// The underlying model already has the value.
+				this._clearModification(k);
+			} else if (success) {
+				this._base[k] = mods[k];
+			}
+		}
+		this._set(o);
+	}
+
 	_setIsModified(changed) {
 		if (changed) {
 			let v;
 			let m = hasProps(this._model) || this._model;
 			for (let k in changed) {
 				v = m[k];
-				if (this._props[k] === v || (!this._modifiedOnNew && typeof v == 'undefined')) {
-					delete this._modification[k];
+				if (this._props[k] === this._remote(k) || (!this._modifiedOnNew && typeof v == 'undefined')) {
+					this._clearModification(k);
 				} else {
+					if (!this._modification.hasOwnProperty(k)) {
+						this._base[k] = v;
+					}
 					this._modification[k] = this._props[k];
+					if (this._conflicts.hasOwnProperty(k)) {
+						this._conflicts[k] = Object.assign({}, this._conflicts[k], { local: this._props[k] });
+					}
 				}
 			}
 		}
 
 		// Do we have any modifications
 		if (this._modProp) {
-			let newIsModified = Object.keys(this._modification).length > 0;
+			let newIsModified = Object.keys(this._modification).length > 0 || this._modifiedDraftKeys().length > 0;
 			if (newIsModified !== this._props[this._modProp]) {
 				changed = changed || {};
 				changed[this._modProp] = !newIsModified;
 				this._props[this._modProp] = newIsModified;
-				this[this._modProp] = newIsModified;
+				promoteProperty(this, this._props, this._modProp);
 			}
 		}
 
+		this._updateModified();
 		return changed;
 	}
 
+	_setValidating(validating) {
+		if (validating !== this._validating) {
+			this._validating = validating;
+			this._eventBus.emit(this, this._namespace + '.validating', { validating: !validating });
+		}
+	}
+
+	_setErrors(errors) {
+		let o = {};
+		for (let k in errors) {
+			if (errors[k]) {
+				o[k] = errors[k];
+			}
+		}
+		this._errors.reset(o);
+	}
+
+	// Clears the errors of changed properties, as they no longer apply.
+	_clearErrors(changed) {
+		let o = null;
+		let errors = this._errors.props;
+		for (let k in changed) {
+			if (errors.hasOwnProperty(k)) {
+				o = o || {};
+				o[k] = undefined;
+			}
+		}
+		if (o) {
+			this._errors.set(o);
+		}
+	}
+
+	_updateModified() {
+		let flags = {};
+		for (let k in this._modification) {
+			flags[k] = true;
+		}
+		for (let k of this._modifiedDraftKeys()) {
+			flags[k] = true;
+		}
+		this._modified.reset(flags);
+	}
+
+	/**
+	 * Gets the value of a property when not modified. In deep mode, a nested
+	 * draft is returned for a Model or Collection value, created if needed.
+	 * @param {string} key Property key.
+	 * @returns {*} Property value.
+	 * @private
+	 */
+	_remote(key) {
+		let m = hasProps(this._model) || this._model;
+		let v = m[key];
+		if (!this._deep) {
+			return v;
+		}
+		let d = this._drafts[key];
+		if (d) {
+			if ((d instanceof ModifyCollection ? d.getCollection() : d.getModel()) === v) {
+				return d;
+			}
+			this._disposeDraft(key);
+		}
+		d = this._createDraft(v);
+		if (!d) {
+			return v;
+		}
+		d.on('change', this._onDraftChange);
+		this._drafts[key] = d;
+		return d;
+	}
+
+	_createDraft(v) {
+		if (!v || typeof v != 'object' || typeof v.on != 'function') {
+			return null;
+		}
+		if (typeof v.atIndex == 'function') {
+			return new ModifyCollection(v, {
+				modelFactory: item => this._createDraft(item) || item,
+				eventBus: this._eventBus
+			});
+		}
+		if (hasProps(v)) {
+			return new ModifyModel(v, { deep: true, eventBus: this._eventBus });
+		}
+		return null;
+	}
+
+	_disposeDraft(key) {
+		let d = this._drafts[key];
+		d.off('change', this._onDraftChange);
+		d.dispose();
+		delete this._drafts[key];
+	}
+
+	// Tells if the property holds its nested draft.
+	_isDraft(key) {
+		return this._drafts.hasOwnProperty(key) && this._props[key] === this._drafts[key];
+	}
+
+	_modifiedDraftKeys() {
+		return Object.keys(this._drafts).filter(k => this._isDraft(k) && this._drafts[k].isModified);
+	}
+
+	_onDraftChange() {
+		this._set(null);
+	}
+
+	_clearModification(key) {
+		delete this._modification[key];
+		delete this._base[key];
+		delete this._conflicts[key];
+	}
+
 	_setEventListener(on) {
 		if (this._model && this._model.on) {
 			this._model[on ? 'on' : 'off']('change', this._onModelChange);
@@ -189,19 +667,40 @@ class ModifyModel {
 
 		let m = hasProps(this._model) || this._model;
 		let props;
+		let conflicts = null;
 		for (let k in changed) {
 			// If the value isn't modified
 			if (!this._modification.hasOwnProperty(k)) {
 				props = props || {};
-				props[k] = m[k];
-			} else {
-				if (this._props[k] === m[k]) {
-					delete this._modification[k];
+				props[k] = this._remote(k);
+			} else if (!this._pending.hasOwnProperty(k)) {
+				let remote = m[k];
+				let base = this._base[k];
+				if (this._props[k] === this._remote(k)) {
+					this._clearModification(k);
+				} else if (remote === base) {
+					delete this._conflicts[k];
+				} else {
+					let local = this._props[k];
+					let v = this._merge ? this._merge(k, base, local, remote) : undefined;
+					if (v !== undefined) {
+						this._base[k] = remote;
+						delete this._conflicts[k];
+						props = props || {};
+						props[k] = v;
+					} else {
+						this._conflicts[k] = { base, local, remote };
+						conflicts = conflicts || {};
+						conflicts[k] = this._conflicts[k];
+					}
 				}
 			}
 		}
 
-		this.set(props);
+		this._set(props, getMeta(changed));
+		if (conflicts) {
+			this._eventBus.emit(this, this._namespace + '.conflict', conflicts);
+		}
 		if (this._onChange) {
 			this._onChange(this, changed);
 		}
@@ -230,7 +729,7 @@ class ModifyModel {
 					if (v === undefined) {
 						delete this[key];
 					} else {
-						this[key] = v;
+						promoteProperty(this, p, key);
 					}
 				}
 			}
@@ -246,7 +745,7 @@ class ModifyModel {
 						if (promote) delete this[key];
 					} else {
 						p[key] = v;
-						if (promote) this[key] = v;
+						if (promote) promoteProperty(this, p, key);
 					}
 				}
 			}
@@ -272,8 +771,40 @@ class ModifyModel {
 
 	dispose() {
 		this._setEventListener(false);
+		// Discard any validation in progress
+		this._validationId++;
+		for (let k in this._drafts) {
+			this._disposeDraft(k);
+		}
 		this._model = null;
 	}
 }
 
 export default ModifyModel;
+
+/**
+ * Conflict between a modification and a change in the underlying model.
+ * @typedef {object} ModifyModel~conflict
+ * @property {*} base Value of the underlying model that the modification was based on.
+ * @property {*} local Modified value.
+ * @property {*} remote Current value of the underlying model.
+ */
+
+/**
+ * Validate callback, called whenever a property changes.
+ * @callback ModifyModel~validateCallback
+ * @param {object} props Properties of the ModifyModel.
+ * @param {?object} modifications Modifications, as returned by getModifications.
+ * @returns {?object|Promise.<?object>} Error messages with the invalid property as key, or null if all properties are valid. May be returned as a promise.
+ */
+
+/**
+ * Merge callback, called when a modified property is changed in the
+ * underlying model.
+ * @callback ModifyModel~mergeCallback
+ * @param {string} key Conflicting property.
+ * @param {*} base Value of the underlying model that the modification was based on.
+ * @param {*} local Modified value.
+ * @param {*} remote Current value of the underlying model.
+ * @returns {*} Merged value, or undefined if the values cannot be merged and should be flagged as a conflict.
+ */
@@ -0,0 +1,726 @@
+import Model from './Model';
+import Collection from './Collection';
+import ModifyModel from './ModifyModel';
+import ModifyCollection from './ModifyCollection';
+import { ValidationError } from './validation';
+import eventBus from 'modapp-eventbus';
+
+describe("ModifyModel", () => {
+	let model;
+	let modify;
+	let changes;
+	let onChange;
+
+	jest.useFakeTimers();
+
+	beforeEach(() => {
+		// Clear eventbus listeners
+		eventBus._evs = {};
+
+		model = new Model({ data: { id: 10, fruit: 'banana', color: 'yellow' }});
+		modify = new ModifyModel(model);
+		changes = [];
+		onChange = jest.fn(change => changes.push(Object.assign({}, change)));
+		modify.on('change', onChange);
+	});
+
+	afterEach(() => {
+		jest.runAllTimers();
+		modify.off('change', onChange);
+		modify.dispose();
+		// Validate we dont have any undisposed listeners
+		expect(Object.keys(eventBus._evs)).toEqual([]);
+	});
+
+	// Creates a model whose set method returns a promise that may be settled
+	// by the test.
+	function deferredModel(data) {
+		let m = new Model({ data });
+		let set = m.set.bind(m);
+		m.set = jest.fn(props => new Promise((resolve, reject) => {
+			m.resolve = () => resolve(set(props));
+			m.reject = err => reject(err);
+		}));
+		return m;
+	}
+
+	describe("commit", () => {
+		it("resolves to null when there are no modifications", () => {
+			return modify.commit().then(result => {
+				expect(result).toBe(null);
+			});
+		});
+
+		it("sets the modifications on the underlying model", () => {
+			modify.set({ fruit: 'apple', color: 'red' });
+			return modify.commit().then(() => {
+				expect(model.props).toEqual({ id: 10, fruit: 'apple', color: 'red' });
+				expect(modify.getModifications()).toBe(null);
+				expect(modify.isModified).toBe(false);
+			});
+		});
+
+		it("emits a single change to isModified", () => {
+			modify.set({ fruit: 'apple' });
+			jest.runAllTimers();
+			changes = [];
+			return modify.commit().then(() => {
+				jest.runAllTimers();
+				expect(changes).toEqual([{ isModified: true }]);
+			});
+		});
+
+		it("keeps the modifications pending until the set completes", () => {
+			model = deferredModel({ id: 10, fruit: 'banana' });
+			modify.off('change', onChange);
+			modify.dispose();
+			modify = new ModifyModel(model);
+			modify.on('change', onChange);
+			modify.set({ fruit: 'apple' });
+			let promise = modify.commit();
+			return Promise.resolve().then(() => {
+				expect(model.set).toHaveBeenCalledWith({ fruit: 'apple' });
+				expect(modify.getPending()).toEqual({ fruit: 'apple' });
+				expect(modify.isModified).toBe(true);
+				model.resolve();
+				return promise;
+			}).then(() => {
+				expect(modify.getPending()).toBe(null);
+				expect(modify.getModifications()).toBe(null);
+				expect(modify.isModified).toBe(false);
+			});
+		});
+
+		it("keeps pending modifications on underlying model change", () => {
+			model = deferredModel({ id: 10, fruit: 'banana' });
+			modify.off('change', onChange);
+			modify.dispose();
+			modify = new ModifyModel(model);
+			modify.on('change', onChange);
+			modify.set({ fruit: 'apple' });
+			let promise = modify.commit();
+			return Promise.resolve().then(() => {
+				Model.prototype.set.call(model, { fruit: 'apple' });
+				jest.runAllTimers();
+				expect(modify.isModified).toBe(true);
+				model.reject(new Error("Failed"));
+				return promise;
+			}).catch(() => {
+				// The underlying model has the committed value despite failure
+				expect(modify.isModified).toBe(false);
+			});
+		});
+
+		it("keeps modifications changed while pending", () => {
+			modify.set({ fruit: 'apple', color: 'red' });
+			let promise = modify.commit();
+			modify.set({ fruit: 'orange' });
+			return promise.then(() => {
+				expect(model.fruit).toBe('apple');
+				expect(modify.getModifications()).toEqual({ fruit: 'orange' });
+				expect(modify.isModified).toBe(true);
+			});
+		});
+
+		it("keeps the modifications and emits an error event on failure", () => {
+			model = deferredModel({ id: 10, fruit: 'banana' });
+			modify.off('change', onChange);
+			modify.dispose();
+			modify = new ModifyModel(model);
+			modify.on('change', onChange);
+			let onError = jest.fn();
+			modify.on('error', onError);
+			modify.set({ fruit: 'apple' });
+			let err = new Error("Failed");
+			let promise = modify.commit();
+			return Promise.resolve().then(() => {
+				model.reject(err);
+				return promise;
+			}).then(() => {
+				throw new Error("Expected rejection");
+			}, e => {
+				expect(e).toBe(err);
+				jest.runAllTimers();
+				expect(onError).toHaveBeenCalledTimes(1);
+				expect(onError.mock.calls[0][0]).toEqual({ error: err, props: { fruit: 'apple' }});
+				expect(modify.getModifications()).toEqual({ fruit: 'apple' });
+				expect(modify.getPending()).toBe(null);
+				expect(modify.isModified).toBe(true);
+				modify.off('error', onError);
+			});
+		});
+
+		it("rejects when the underlying model has no set method", () => {
+			modify.off('change', onChange);
+			modify.dispose();
+			modify = new ModifyModel({ fruit: 'banana' });
+			modify.on('change', onChange);
+			modify.set({ fruit: 'apple' });
+			return expect(modify.commit()).rejects.toThrow();
+		});
+	});
+
+	describe("conflicts", () => {
+		let conflicts;
+		let onConflict;
+
+		beforeEach(() => {
+			conflicts = [];
+			onConflict = jest.fn(c => conflicts.push(c));
+			modify.on('conflict', onConflict);
+		});
+
+		afterEach(() => {
+			jest.runAllTimers();
+			modify.off('conflict', onConflict);
+		});
+
+		it("flags a conflict when a modified property changes in the underlying model", () => {
+			modify.set({ fruit: 'apple' });
+			model.set({ fruit: 'orange' });
+			jest.runAllTimers();
+			let conflict = { base: 'banana', local: 'apple', remote: 'orange' };
+			expect(modify.conflicts).toEqual({ fruit: conflict });
+			expect(conflicts).toEqual([{ fruit: conflict }]);
+			expect(modify.fruit).toBe('apple');
+		});
+
+		it("does not flag a conflict on change to non-modified properties", () => {
+			modify.set({ fruit: 'apple' });
+			model.set({ color: 'red' });
+			jest.runAllTimers();
+			expect(modify.conflicts).toEqual({});
+			expect(onConflict).not.toHaveBeenCalled();
+			expect(modify.color).toBe('red');
+		});
+
+		it("does not flag a conflict when the underlying model gets the modified value", () => {
+			modify.set({ fruit: 'apple' });
+			model.set({ fruit: 'apple' });
+			jest.runAllTimers();
+			expect(modify.conflicts).toEqual({});
+			expect(modify.isModified).toBe(false);
+		});
+
+		it("clears the conflict when the underlying model changes back to the base value", () => {
+			modify.set({ fruit: 'apple' });
+			model.set({ fruit: 'orange' });
+			model.set({ fruit: 'banana' });
+			jest.runAllTimers();
+			expect(modify.conflicts).toEqual({});
+		});
+
+		it("updates the local value of a conflict", () => {
+			modify.set({ fruit: 'apple' });
+			model.set({ fruit: 'orange' });
+			jest.runAllTimers();
+			modify.set({ fruit: 'kiwi' });
+			expect(modify.conflicts).toEqual({ fruit: { base: 'banana', local: 'kiwi', remote: 'orange' }});
+		});
+
+		it("clears the conflict when the modification is reset", () => {
+			modify.set({ fruit: 'apple' });
+			model.set({ fruit: 'orange' });
+			jest.runAllTimers();
+			modify.reset();
+			expect(modify.conflicts).toEqual({});
+			expect(modify.fruit).toBe('orange');
+		});
+
+		it("keeps the modified value with keepLocal", () => {
+			modify.set({ fruit: 'apple' });
+			model.set({ fruit: 'orange' });
+			jest.runAllTimers();
+			expect(modify.keepLocal('fruit')).toBe(true);
+			expect(modify.conflicts).toEqual({});
+			expect(modify.fruit).toBe('apple');
+			expect(modify.isModified).toBe(true);
+			// Changing back to the previous base is a new conflict
+			model.set({ fruit: 'banana' });
+			jest.runAllTimers();
+			expect(modify.conflicts).toEqual({ fruit: { base: 'orange', local: 'apple', remote: 'banana' }});
+		});
+
+		it("takes the underlying value with takeRemote", () => {
+			modify.set({ fruit: 'apple' });
+			model.set({ fruit: 'orange' });
+			jest.runAllTimers();
+			return modify.takeRemote('fruit').then(() => {
+				expect(modify.conflicts).toEqual({});
+				expect(modify.fruit).toBe('orange');
+				expect(modify.isModified).toBe(false);
+			});
+		});
+
+		it("returns false when resolving a property without conflict", () => {
+			expect(modify.keepLocal('fruit')).toBe(false);
+			return expect(modify.takeRemote('fruit')).resolves.toBe(false);
+		});
+
+		it("merges conflicting changes using opt.merge", () => {
+			let merge = jest.fn((key, base, local, remote) => local + "+" + remote);
+			modify.off('conflict', onConflict);
+			modify.off('change', onChange);
+			modify.dispose();
+			modify = new ModifyModel(model, { merge });
+			modify.on('change', onChange);
+			modify.on('conflict', onConflict);
+			modify.set({ fruit: 'apple' });
+			model.set({ fruit: 'orange' });
+			jest.runAllTimers();
+			expect(merge).toHaveBeenCalledWith('fruit', 'banana', 'apple', 'orange');
+			expect(modify.fruit).toBe('apple+orange');
+			expect(modify.conflicts).toEqual({});
+			expect(onConflict).not.toHaveBeenCalled();
+			// The remote value is the new base
+			model.set({ fruit: 'orange' });
+			expect(merge).toHaveBeenCalledTimes(1);
+		});
+
+		it("flags a conflict when opt.merge returns undefined", () => {
+			modify.off('conflict', onConflict);
+			modify.off('change', onChange);
+			modify.dispose();
+			modify = new ModifyModel(model, { merge: () => undefined });
+			modify.on('change', onChange);
+			modify.on('conflict', onConflict);
+			modify.set({ fruit: 'apple' });
+			model.set({ fruit: 'orange' });
+			jest.runAllTimers();
+			expect(modify.conflicts).toEqual({ fruit: { base: 'banana', local: 'apple', remote: 'orange' }});
+			expect(onConflict).toHaveBeenCalledTimes(1);
+		});
+
+		it("does not flag a conflict on the change caused by commit", () => {
+			modify.set({ fruit: 'apple' });
+			return modify.commit().then(() => {
+				jest.runAllTimers();
+				expect(modify.conflicts).toEqual({});
+				expect(onConflict).not.toHaveBeenCalled();
+			});
+		});
+	});
+
+	describe("modified", () => {
+		let modifiedChanges;
+		let onModifiedChange;
+
+		beforeEach(() => {
+			modifiedChanges = [];
+			onModifiedChange = jest.fn(c => modifiedChanges.push(c));
+			modify.modified.on('change', onModifiedChange);
+		});
+
+		afterEach(() => {
+			jest.runAllTimers();
+			modify.modified.off('change', onModifiedChange);
+		});
+
+		it("has no properties when there are no modifications", () => {
+			expect(modify.modified.props).toEqual({});
+		});
+
+		it("flags modified properties", () => {
+			modify.set({ fruit: 'apple', color: 'red' });
+			jest.runAllTimers();
+			expect(modify.modified.props).toEqual({ fruit: true, color: true });
+			expect(modifiedChanges).toEqual([{ fruit: undefined, color: undefined }]);
+		});
+
+		it("flags properties set on construct", () => {
+			modify.modified.off('change', onModifiedChange);
+			modify.off('change', onChange);
+			modify.dispose();
+			modify = new ModifyModel(model, { props: { fruit: 'apple' }});
+			modify.on('change', onChange);
+			modify.modified.on('change', onModifiedChange);
+			expect(modify.modified.props).toEqual({ fruit: true });
+		});
+
+		it("clears the flag when a property is set back", () => {
+			modify.set({ fruit: 'apple', color: 'red' });
+			modify.set({ fruit: 'banana' });
+			expect(modify.modified.props).toEqual({ color: true });
+		});
+
+		it("clears the flag when a property is reset", () => {
+			modify.set({ fruit: 'apple', color: 'red' });
+			modify.reset('color');
+			expect(modify.modified.props).toEqual({ fruit: true });
+		});
+
+		it("clears the flag when the underlying model gets the modified value", () => {
+			modify.set({ fruit: 'apple' });
+			model.set({ fruit: 'apple' });
+			jest.runAllTimers();
+			expect(modify.modified.props).toEqual({});
+			expect(modifiedChanges).toEqual([{ fruit: undefined }, { fruit: true }]);
+		});
+
+		it("clears the flags on commit", () => {
+			modify.set({ fruit: 'apple' });
+			return modify.commit().then(() => {
+				expect(modify.modified.props).toEqual({});
+			});
+		});
+	});
+
+	describe("opt.deep", () => {
+		let address;
+		let lines;
+		let parent;
+
+		beforeEach(() => {
+			address = new Model({ data: { street: 'Main St', city: 'Bergen' }});
+			lines = new Collection({
+				data: [{ id: 1, qty: 1 }, { id: 2, qty: 5 }],
+				modelFactory: data => new Model({ data })
+			});
+			parent = new Model({ data: { name: 'Jane', address, lines }});
+			modify.off('change', onChange);
+			modify.dispose();
+			modify = new ModifyModel(parent, { deep: true });
+			modify.on('change', onChange);
+		});
+
+		it("replaces Model and Collection properties with nested drafts", () => {
+			expect(modify.address).toBeInstanceOf(ModifyModel);
+			expect(modify.address.getModel()).toBe(address);
+			expect(modify.lines).toBeInstanceOf(ModifyCollection);
+			expect(modify.lines.getCollection()).toBe(lines);
+			expect(modify.lines.atIndex(0)).toBeInstanceOf(ModifyModel);
+			expect(modify.isModified).toBe(false);
+			expect(modify.getModifications()).toBe(null);
+		});
+
+		it("does not replace properties when not in deep mode", () => {
+			let m = new ModifyModel(parent);
+			expect(m.address).toBe(address);
+			m.dispose();
+		});
+
+		it("sets isModified on modification of a nested model draft", () => {
+			modify.address.set({ city: 'Oslo' });
+			jest.runAllTimers();
+			expect(modify.isModified).toBe(true);
+			expect(modify.modified.props).toEqual({ address: true });
+			expect(address.city).toBe('Bergen');
+			expect(changes).toEqual([{ isModified: false }]);
+		});
+
+		it("clears isModified when a nested draft is set back", () => {
+			modify.address.set({ city: 'Oslo' });
+			jest.runAllTimers();
+			modify.address.set({ city: 'Bergen' });
+			jest.runAllTimers();
+			expect(modify.isModified).toBe(false);
+			expect(modify.modified.props).toEqual({});
+		});
+
+		it("sets isModified on modification of an item in a nested collection draft", () => {
+			modify.lines.atIndex(1).set({ qty: 6 });
+			jest.runAllTimers();
+			expect(modify.isModified).toBe(true);
+			expect(lines.atIndex(1).qty).toBe(5);
+		});
+
+		it("returns nested modifications", () => {
+			modify.set({ name: 'John' });
+			modify.address.set({ city: 'Oslo' });
+			modify.lines.atIndex(1).set({ qty: 6 });
+			jest.runAllTimers();
+			expect(modify.getModifications()).toEqual({
+				name: 'John',
+				address: { city: 'Oslo' },
+				lines: [{ type: 'set', item: lines.atIndex(1), props: { qty: 6 }}]
+			});
+		});
+
+		it("commits nested modifications", () => {
+			modify.set({ name: 'John' });
+			modify.address.set({ city: 'Oslo' });
+			modify.lines.atIndex(1).set({ qty: 6 });
+			jest.runAllTimers();
+			return modify.commit().then(() => {
+				jest.runAllTimers();
+				expect(parent.name).toBe('John');
+				expect(address.city).toBe('Oslo');
+				expect(lines.atIndex(1).qty).toBe(6);
+				expect(modify.isModified).toBe(false);
+				expect(modify.getModifications()).toBe(null);
+			});
+		});
+
+		it("commits nested modifications without own modifications", () => {
+			modify.address.set({ city: 'Oslo' });
+			jest.runAllTimers();
+			return modify.commit().then(() => {
+				jest.runAllTimers();
+				expect(address.city).toBe('Oslo');
+				expect(modify.isModified).toBe(false);
+			});
+		});
+
+		it("resets nested modifications", () => {
+			modify.set({ name: 'John' });
+			modify.address.set({ city: 'Oslo' });
+			modify.lines.atIndex(1).set({ qty: 6 });
+			jest.runAllTimers();
+			return modify.reset().then(() => {
+				jest.runAllTimers();
+				expect(modify.name).toBe('Jane');
+				expect(modify.address.city).toBe('Bergen');
+				expect(modify.lines.atIndex(1).qty).toBe(5);
+				expect(modify.isModified).toBe(false);
+			});
+		});
+
+		it("resets a single nested draft", () => {
+			modify.address.set({ city: 'Oslo' });
+			modify.lines.atIndex(1).set({ qty: 6 });
+			jest.runAllTimers();
+			return modify.reset('address').then(() => {
+				jest.runAllTimers();
+				expect(modify.address.city).toBe('Bergen');
+				expect(modify.modified.props).toEqual({ lines: true });
+			});
+		});
+
+		it("restores the nested draft when resetting a replaced property", () => {
+			let draft = modify.address;
+			modify.set({ address: null });
+			expect(modify.isModified).toBe(true);
+			modify.reset('address');
+			expect(modify.address).toBe(draft);
+			expect(modify.isModified).toBe(false);
+		});
+
+		it("creates a new draft when the underlying model replaces a nested model", () => {
+			let draft = modify.address;
+			let other = new Model({ data: { city: 'Oslo' }});
+			parent.set({ address: other });
+			jest.runAllTimers();
+			expect(modify.address).not.toBe(draft);
+			expect(modify.address.getModel()).toBe(other);
+			expect(modify.address.city).toBe('Oslo');
+		});
+	});
+
+	describe("opt.validate", () => {
+		let validate;
+		let pending;
+
+		// Creates a ModifyModel with a validate callback returning a promise
+		// that may be settled by the test.
+		function asyncModify() {
+			pending = [];
+			validate = jest.fn(() => new Promise(resolve => pending.push(resolve)));
+			replaceModify({ validate });
+		}
+
+		function replaceModify(opt) {
+			modify.off('change', onChange);
+			modify.dispose();
+			modify = new ModifyModel(model, opt);
+			modify.on('change', onChange);
+		}
+
+		beforeEach(() => {
+			validate = jest.fn(p => p.fruit == 'rock' ? { fruit: "Not a fruit." } : null);
+			replaceModify({ validate });
+		});
+
+		it("validates on change", () => {
+			modify.set({ fruit: 'rock' });
+			expect(validate).toHaveBeenCalledWith(modify.props, { fruit: 'rock' });
+			expect(modify.errors.props).toEqual({ fruit: "Not a fruit." });
+			modify.set({ fruit: 'apple' });
+			expect(modify.errors.props).toEqual({});
+		});
+
+		it("does not validate when nothing changed", () => {
+			modify.set({ fruit: 'banana' });
+			expect(validate).not.toHaveBeenCalled();
+		});
+
+		it("resolves validate to the errors", () => {
+			modify.set({ fruit: 'rock' });
+			return expect(modify.validate()).resolves.toEqual({ fruit: "Not a fruit." });
+		});
+
+		it("resolves validate to null without a validate callback", () => {
+			replaceModify();
+			return expect(modify.validate()).resolves.toBe(null);
+		});
+
+		it("sets validating while an async validation is in progress", () => {
+			asyncModify();
+			let onValidating = jest.fn();
+			modify.on('validating', onValidating);
+			modify.set({ fruit: 'rock' });
+			expect(modify.validating).toBe(true);
+			pending[0]({ fruit: "Not a fruit." });
+			return Promise.resolve().then(() => {
+				expect(modify.validating).toBe(false);
+				expect(modify.errors.props).toEqual({ fruit: "Not a fruit." });
+				jest.runAllTimers();
+				expect(onValidating.mock.calls.map(c => c[0])).toEqual([{ validating: false }, { validating: true }]);
+				modify.off('validating', onValidating);
+			});
+		});
+
+		it("discards the result of a stale validation", () => {
+			asyncModify();
+			modify.set({ fruit: 'rock' });
+			modify.set({ fruit: 'apple' });
+			pending[1](null);
+			pending[0]({ fruit: "Not a fruit." });
+			return Promise.resolve().then(() => {
+				expect(modify.errors.props).toEqual({});
+				expect(modify.validating).toBe(false);
+			});
+		});
+
+		it("clears the error of a changed property", () => {
+			asyncModify();
+			modify.setErrors({ fruit: "Not a fruit.", color: "Not a color." });
+			modify.set({ fruit: 'apple' });
+			expect(modify.errors.props).toEqual({ color: "Not a color." });
+		});
+
+		it("refuses to commit while there are errors", () => {
+			modify.set({ fruit: 'rock' });
+			return modify.commit().then(() => {
+				throw new Error("Expected rejection");
+			}, err => {
+				expect(err).toBeInstanceOf(ValidationError);
+				expect(err.errors).toEqual({ fruit: "Not a fruit." });
+				expect(model.fruit).toBe('banana');
+			});
+		});
+
+		it("awaits validation in progress before commit", () => {
+			asyncModify();
+			modify.set({ fruit: 'apple' });
+			let promise = modify.commit();
+			pending[0](null);
+			return promise.then(() => {
+				expect(model.fruit).toBe('apple');
+			});
+		});
+
+		it("refuses to commit when the validation in progress fails", () => {
+			let error = new Error("Network down.");
+			replaceModify({ validate: () => Promise.reject(error) });
+			modify.set({ fruit: 'apple' });
+			return expect(modify.commit()).rejects.toBe(error).then(() => {
+				expect(model.fruit).toBe('banana');
+			});
+		});
+
+		it("refuses to commit when the latest validation has failed", () => {
+			let error = new Error("Network down.");
+			replaceModify({ validate: () => Promise.reject(error) });
+			modify.set({ fruit: 'apple' });
+			return Promise.resolve().then(() => {
+				expect(modify.validating).toBe(false);
+				return expect(modify.commit()).rejects.toBe(error);
+			}).then(() => {
+				expect(model.fruit).toBe('banana');
+			});
+		});
+
+		it("refuses to commit when the validate callback throws", () => {
+			let error = new Error("Invalid state.");
+			replaceModify({ validate: () => { throw error; } });
+			modify.set({ fruit: 'apple' });
+			return expect(modify.commit()).rejects.toBe(error);
+		});
+
+		it("commits once a later validation succeeds", () => {
+			let fail = true;
+			replaceModify({ validate: () => fail ? Promise.reject(new Error("Network down.")) : Promise.resolve(null) });
+			modify.set({ fruit: 'apple' });
+			return Promise.resolve().then(() => {
+				fail = false;
+				modify.set({ fruit: 'pear' });
+				return modify.commit();
+			}).then(() => {
+				expect(model.fruit).toBe('pear');
+			});
+		});
+
+		it("refuses to commit with errors set by setErrors", () => {
+			replaceModify();
+			modify.set({ fruit: 'apple' });
+			modify.setErrors({ fruit: "Already taken." });
+			expect(modify.errors.props).toEqual({ fruit: "Already taken." });
+			return expect(modify.commit()).rejects.toBeInstanceOf(ValidationError);
+		});
+
+		it("clears errors set by setErrors on change without a validate callback", () => {
+			replaceModify();
+			modify.setErrors({ fruit: "Already taken." });
+			modify.set({ fruit: 'apple' });
+			expect(modify.errors.props).toEqual({});
+		});
+	});
+
+	describe("keys containing dots", () => {
+		it("keeps the keys of the underlying model literal", () => {
+			let m = new ModifyModel({ 'a.b': 1 });
+			expect(m.props).toEqual({ 'a.b': 1, isModified: false });
+			expect(m.getModifications()).toBe(null);
+			m.dispose();
+		});
+
+		it("sets a nested value using a path key", () => {
+			let m = new ModifyModel({ info: { color: 'yellow', size: 2 }});
+			m.set({ 'info.color': 'green' });
+			expect(m.info).toEqual({ color: 'green', size: 2 });
+			expect(m.getModifications()).toEqual({ info: { color: 'green', size: 2 }});
+			m.dispose();
+		});
+
+		it("reports the changed path with its old value in the change event", () => {
+			let m = new ModifyModel({ info: { color: 'yellow', size: 2 }});
+			let cb = jest.fn();
+			m.on('change', cb);
+			m.set({ 'info.color': 'green' });
+			jest.runAllTimers();
+			expect(Object.keys(cb.mock.calls[0][0])).toEqual([ 'info', 'isModified' ]);
+			expect(cb.mock.calls[0][0]['info.color']).toBe('yellow');
+			m.off('change', cb);
+			m.dispose();
+		});
+	});
+
+	describe("rich events", () => {
+		it("emits a changeRecord event with old and new values, including isModified", () => {
+			let m = new ModifyModel(model, { richEvents: true });
+			let onRecord = jest.fn();
+			m.on('changeRecord', onRecord);
+			m.set({ fruit: 'apple', color: undefined });
+			jest.runAllTimers();
+			expect(onRecord).toHaveBeenCalledTimes(1);
+			expect(onRecord.mock.calls[0][0]).toEqual({
+				fruit: { type: 'update', old: 'banana', new: 'apple' },
+				color: { type: 'delete', old: 'yellow', new: undefined },
+				isModified: { type: 'update', old: false, new: true }
+			});
+			m.off('changeRecord', onRecord);
+			m.dispose();
+		});
+
+		it("emits a changeRecord event on changes of the underlying model", () => {
+			let m = new ModifyModel(model, { richEvents: true });
+			let onRecord = jest.fn();
+			m.on('changeRecord', onRecord);
+			model.set({ fruit: 'apple' });
+			jest.runAllTimers();
+			expect(onRecord.mock.calls[0][0]).toEqual({ fruit: { type: 'update', old: 'banana', new: 'apple' }});
+			m.off('changeRecord', onRecord);
+			m.dispose();
+		});
+	});
+});
@@ -0,0 +1,484 @@
+/**
+ * RankTree node.
+ * @typedef {object} RankTree~node
+ * @property {*} value Node value.
+ * @property {number} vis Visibility flag. 1 if visible, otherwise 0.
+ */
+
+function height(n) {
+	return n ? n.height : 0;
+}
+
+function size(n) {
+	return n ? n.size : 0;
+}
+
+function count(n) {
+	return n ? n.count : 0;
+}
+
+function update(n) {
+	n.height = Math.max(height(n.left), height(n.right)) + 1;
+	n.size = size(n.left) + size(n.right) + 1;
+	n.count = count(n.left) + count(n.right) + n.vis;
+}
+
+function leftmost(n) {
+	while (n.left) {
+		n = n.left;
+	}
+	return n;
+}
+
+function rightmost(n) {
+	while (n.right) {
+		n = n.right;
+	}
+	return n;
+}
+
+// Returns the first visible node in the subtree of n, or null if none is
+// visible.
+function firstVisible(n) {
+	if (!count(n)) {
+		return null;
+	}
+	while (true) {
+		if (count(n.left)) {
+			n = n.left;
+		} else if (n.vis) {
+			return n;
+		} else {
+			n = n.right;
+		}
+	}
+}
+
+/**
+ * RankTree is a balanced binary tree (AVL tree) holding an ordered list of
+ * nodes. Each node keeps track of the size of its subtree and the number of
+ * visible nodes in its subtree, allowing insert, remove, and index lookups in
+ * O(log n), both for the full list and for the visible nodes only.
+ *
+ * Nodes keep their identity while in the tree, and may be moved by removing
+ * and inserting the same node again.
+ */
+class RankTree {
+
+	/**
+	 * Creates a RankTree instance.
+	 */
+	constructor() {
+		this._root = null;
+	}
+
+	/**
+	 * Creates a new node that may be inserted into a tree.
+	 * @param {*} value Node value.
+	 * @param {boolean} [visible] Flag telling if the node is visible. Defaults to true.
+	 * @returns {RankTree~node} Node.
+	 */
+	static node(value, visible) {
+		return {
+			value,
+			vis: visible === false ? 0 : 1,
+			left: null,
+			right: null,
+			parent: null,
+			height: 1,
+			size: 1,
+			count: 0
+		};
+	}
+
+	/**
+	 * Number of nodes in the tree.
+	 */
+	get length() {
+		return size(this._root);
+	}
+
+	/**
+	 * Number of visible nodes in the tree.
+	 */
+	get count() {
+		return count(this._root);
+	}
+
+	/**
+	 * Replaces the content of the tree with a list of nodes, in O(n).
+	 * @param {Array.<RankTree~node>} nodes Nodes in order.
+	 */
+	build(nodes) {
+		let build = (lo, hi, parent) => {
+			if (lo > hi) {
+				return null;
+			}
+			let mid = (lo + hi) >>> 1;
+			let n = nodes[mid];
+			n.parent = parent;
+			n.left = build(lo, mid - 1, n);
+			n.right = build(mid + 1, hi, n);
+			update(n);
+			return n;
+		};
+		this._root = build(0, nodes.length - 1, null);
+	}
+
+	/**
+	 * Inserts a node at a given index.
+	 * @param {RankTree~node} node Node to insert.
+	 * @param {number} idx Index to insert the node at. Out of bounds values inserts the node at the start or the end.
+	 */
+	insertAt(node, idx) {
+		let n = this._root;
+		if (!n) {
+			this._attach(null, node, false);
+			return;
+		}
+		while (true) {
+			let ls = size(n.left);
+			if (idx <= ls) {
+				if (!n.left) {
+					this._attach(n, node, true);
+					return;
+				}
+				n = n.left;
+			} else {
+				idx -= ls + 1;
+				if (!n.right) {
+					this._attach(n, node, false);
+					return;
+				}
+				n = n.right;
+			}
+		}
+	}
+
+	/**
+	 * Inserts a node in sort order, after any node with an equal value.
+	 * @param {RankTree~node} node Node to insert.
+	 * @param {function} compare Compare function receiving two node values.
+	 */
+	insertSorted(node, compare) {
+		let n = this._root;
+		if (!n) {
+			this._attach(null, node, false);
+			return;
+		}
+		while (true) {
+			if (compare(node.value, n.value) < 0) {
+				if (!n.left) {
+					this._attach(n, node, true);
+					return;
+				}
+				n = n.left;
+			} else {
+				if (!n.right) {
+					this._attach(n, node, false);
+					return;
+				}
+				n = n.right;
+			}
+		}
+	}
+
+	/**
+	 * Removes a node from the tree.
+	 * @param {RankTree~node} node Node to remove.
+	 */
+	remove(node) {
+		if (node.left && node.right) {
+			this._swap(node, leftmost(node.right));
+		}
+
+		let c = node.left || node.right;
+		let p = node.parent;
+		if (c) {
+			c.parent = p;
+		}
+		this._replace(p, node, c);
+		node.parent = node.left = node.right = null;
+		this._retrace(p);
+	}
+
+	/**
+	 * Sets the visibility of a node in the tree.
+	 * @param {RankTree~node} node Node.
+	 * @param {boolean} visible Flag telling if the node is visible.
+	 */
+	setVisible(node, visible) {
+		let vis = visible ? 1 : 0;
+		if (node.vis === vis) {
+			return;
+		}
+		node.vis = vis;
+		for (let n = node; n; n = n.parent) {
+			n.count = count(n.left) + count(n.right) + n.vis;
+		}
+	}
+
+	/**
+	 * Returns the index of a node among all nodes.
+	 * @param {RankTree~node} node Node.
+	 * @returns {number} Zero-based index.
+	 */
+	indexOf(node) {
+		let idx = size(node.left);
+		for (let n = node; n.parent; n = n.parent) {
+			if (n === n.parent.right) {
+				idx += size(n.parent.left) + 1;
+			}
+		}
+		return idx;
+	}
+
+	/**
+	 * Returns the index of a node among the visible nodes. For a hidden node,
+	 * this is the index of the next visible node.
+	 * @param {RankTree~node} node Node.
+	 * @returns {number} Zero-based index.
+	 */
+	visibleIndexOf(node) {
+		let idx = count(node.left);
+		for (let n = node; n.parent; n = n.parent) {
+			if (n === n.parent.right) {
+				idx += count(n.parent.left) + n.parent.vis;
+			}
+		}
+		return idx;
+	}
+
+	/**
+	 * Returns the node at a given index among all nodes.
+	 * @param {number} idx Zero-based index.
+	 * @returns {?RankTree~node} Node, or null if the index is out of bounds.
+	 */
+	at(idx) {
+		if (idx < 0 || idx >= this.length) {
+			return null;
+		}
+		let n = this._root;
+		while (true) {
+			let ls = size(n.left);
+			if (idx < ls) {
+				n = n.left;
+			} else if (idx === ls) {
+				return n;
+			} else {
+				idx -= ls + 1;
+				n = n.right;
+			}
+		}
+	}
+
+	/**
+	 * Returns the node at a given index among the visible nodes.
+	 * @param {number} idx Zero-based index.
+	 * @returns {?RankTree~node} Node, or null if the index is out of bounds.
+	 */
+	atVisible(idx) {
+		if (idx < 0 || idx >= this.count) {
+			return null;
+		}
+		let n = this._root;
+		while (true) {
+			let lc = count(n.left);
+			if (idx < lc) {
+				n = n.left;
+			} else if (idx === lc && n.vis) {
+				return n;
+			} else {
+				idx -= lc + n.vis;
+				n = n.right;
+			}
+		}
+	}
+
+	/**
+	 * Returns the node following a node.
+	 * @param {RankTree~node} node Node.
+	 * @returns {?RankTree~node} Next node, or null if node is the last one.
+	 */
+	next(node) {
+		if (node.right) {
+			return leftmost(node.right);
+		}
+		let n = node;
+		while (n.parent && n === n.parent.right) {
+			n = n.parent;
+		}
+		return n.parent;
+	}
+
+	/**
+	 * Returns the node preceding a node.
+	 * @param {RankTree~node} node Node.
+	 * @returns {?RankTree~node} Previous node, or null if node is the first one.
+	 */
+	prev(node) {
+		if (node.left) {
+			return rightmost(node.left);
+		}
+		let n = node;
+		while (n.parent && n === n.parent.left) {
+			n = n.parent;
+		}
+		return n.parent;
+	}
+
+	/**
+	 * Returns the visible node following a node.
+	 * @param {RankTree~node} node Node.
+	 * @returns {?RankTree~node} Next visible node, or null if there is none.
+	 */
+	nextVisible(node) {
+		let v = firstVisible(node.right);
+		if (v) {
+			return v;
+		}
+		let n = node;
+		while (n.parent) {
+			if (n === n.parent.left) {
+				if (n.parent.vis) {
+					return n.parent;
+				}
+				v = firstVisible(n.parent.right);
+				if (v) {
+					return v;
+				}
+			}
+			n = n.parent;
+		}
+		return null;
+	}
+
+	/**
+	 * Iterates over all node values in order.
+	 * @returns {Iterator.<*>} Iterator.
+	 */
+	[Symbol.iterator]() {
+		let n = this._root ? leftmost(this._root) : null;
+		return {
+			next: () => {
+				if (!n) {
+					return { done: true };
+				}
+				let value = n.value;
+				n = this.next(n);
+				return { value, done: false };
+			}
+		};
+	}
+
+	_attach(p, node, left) {
+		node.parent = p;
+		node.left = node.right = null;
+		if (!p) {
+			this._root = node;
+		} else if (left) {
+			p.left = node;
+		} else {
+			p.right = node;
+		}
+		this._retrace(node);
+	}
+
+	_replace(p, n, c) {
+		if (!p) {
+			this._root = c;
+		} else if (p.left === n) {
+			p.left = c;
+		} else {
+			p.right = c;
+		}
+	}
+
+	// Swaps the position of node n with its successor s. Sizes and counts are
+	// updated when retracing after the removal of n.
+	_swap(n, s) {
+		let np = n.parent, nl = n.left, nr = n.right;
+		let sp = s.parent, sr = s.right;
+		let h = n.height;
+
+		this._replace(np, n, s);
+		s.parent = np;
+		s.left = nl;
+		nl.parent = s;
+		if (nr === s) {
+			s.right = n;
+			n.parent = s;
+		} else {
+			s.right = nr;
+			nr.parent = s;
+			sp.left = n;
+			n.parent = sp;
+		}
+		n.left = null;
+		n.right = sr;
+		if (sr) {
+			sr.parent = n;
+		}
+		n.height = s.height;
+		s.height = h;
+	}
+
+	// Updates and rebalances all nodes from n up to the root.
+	_retrace(n) {
+		while (n) {
+			update(n);
+			n = this._balance(n).parent;
+		}
+	}
+
+	_balance(n) {
+		let bf = height(n.left) - height(n.right);
+		if (bf > 1) {
+			if (height(n.left.left) < height(n.left.right)) {
+				this._rotateLeft(n.left);
+			}
+			return this._rotateRight(n);
+		}
+		if (bf < -1) {
+			if (height(n.right.right) < height(n.right.left)) {
+				this._rotateRight(n.right);
+			}
+			return this._rotateLeft(n);
+		}
+		return n;
+	}
+
+	_rotateLeft(x) {
+		let y = x.right;
+		let p = x.parent;
+		x.right = y.left;
+		if (y.left) {
+			y.left.parent = x;
+		}
+		y.left = x;
+		x.parent = y;
+		y.parent = p;
+		this._replace(p, x, y);
+		update(x);
+		update(y);
+		return y;
+	}
+
+	_rotateRight(x) {
+		let y = x.left;
+		let p = x.parent;
+		x.left = y.right;
+		if (y.right) {
+			y.right.parent = x;
+		}
+		y.right = x;
+		x.parent = y;
+		y.parent = p;
+		this._replace(p, x, y);
+		update(x);
+		update(y);
+		return y;
+	}
+}
+
+export default RankTree;
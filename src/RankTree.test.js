@@ -0,0 +1,97 @@
+import RankTree from './RankTree';
+
+describe("RankTree", () => {
+	let seed;
+	let random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+	let randomIdx = l => Math.floor(random() * l);
+
+	// Validates the tree against an array of nodes in expected order.
+	function validate(tree, arr) {
+		let visible = arr.filter(n => n.vis);
+		expect(Array.from(tree)).toEqual(arr.map(n => n.value));
+		expect(tree.length).toBe(arr.length);
+		expect(tree.count).toBe(visible.length);
+		arr.forEach((n, i) => {
+			expect(tree.indexOf(n)).toBe(i);
+			expect(tree.at(i)).toBe(n);
+			expect(tree.next(n)).toBe(arr[i + 1] || null);
+			expect(tree.prev(n)).toBe(arr[i - 1] || null);
+		});
+		visible.forEach((n, i) => {
+			expect(tree.visibleIndexOf(n)).toBe(i);
+			expect(tree.atVisible(i)).toBe(n);
+			expect(tree.nextVisible(n)).toBe(visible[i + 1] || null);
+		});
+		expect(tree.at(arr.length)).toBe(null);
+		expect(tree.atVisible(visible.length)).toBe(null);
+
+		// Validate balance and parent links
+		let depth = n => {
+			if (!n) return 0;
+			if (n.left) expect(n.left.parent).toBe(n);
+			if (n.right) expect(n.right.parent).toBe(n);
+			let l = depth(n.left);
+			let r = depth(n.right);
+			expect(Math.abs(l - r)).toBeLessThanOrEqual(1);
+			return Math.max(l, r) + 1;
+		};
+		depth(tree._root);
+	}
+
+	beforeEach(() => {
+		seed = 42;
+	});
+
+	it("builds a tree from a list of nodes", () => {
+		let tree = new RankTree();
+		let arr = [];
+		for (let i = 0; i < 50; i++) {
+			arr.push(RankTree.node(i, i % 3 > 0));
+		}
+		tree.build(arr);
+		validate(tree, arr);
+	});
+
+	it("inserts, removes, moves, and hides nodes", () => {
+		let tree = new RankTree();
+		let arr = [];
+		for (let i = 0; i < 1000; i++) {
+			let r = random();
+			if (r < 0.4 || !arr.length) {
+				let n = RankTree.node(i, random() < 0.6);
+				let idx = randomIdx(arr.length + 1);
+				tree.insertAt(n, idx);
+				arr.splice(idx, 0, n);
+			} else if (r < 0.7) {
+				let idx = randomIdx(arr.length);
+				tree.remove(arr[idx]);
+				arr.splice(idx, 1);
+			} else if (r < 0.85) {
+				let n = arr[randomIdx(arr.length)];
+				tree.setVisible(n, !n.vis);
+			} else {
+				let n = arr.splice(randomIdx(arr.length), 1)[0];
+				let idx = randomIdx(arr.length + 1);
+				tree.remove(n);
+				tree.insertAt(n, idx);
+				arr.splice(idx, 0, n);
+			}
+			if (i % 100 === 0) {
+				validate(tree, arr);
+			}
+		}
+		validate(tree, arr);
+	});
+
+	it("inserts nodes in sort order after equal values", () => {
+		let tree = new RankTree();
+		let arr = [];
+		for (let i = 0; i < 200; i++) {
+			let n = RankTree.node({ v: randomIdx(20), i });
+			tree.insertSorted(n, (a, b) => a.v - b.v);
+			arr.push(n);
+		}
+		arr.sort((a, b) => a.value.v - b.value.v || a.value.i - b.value.i);
+		validate(tree, arr);
+	});
+});
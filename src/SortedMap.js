@@ -1,93 +1,377 @@
-import { array } from 'modapp-utils';
+import RankTree from './RankTree';
+
+// Array methods not modifying the array, called on an array of the values.
+const arrayMethods = [
+	'concat', 'every', 'filter', 'find', 'findIndex', 'forEach', 'includes',
+	'join', 'lastIndexOf', 'map', 'reduce', 'reduceRight', 'some'
+];
+
+// Tells if a property is an array index.
+function isIndex(prop) {
+	return typeof prop == 'string' && prop !== '' && String(prop >>> 0) === prop;
+}
+
+// Proxy handler giving access to the values by index, such as map[0].
+const indexHandler = {
+	get(target, prop, receiver) {
+		return isIndex(prop) ? target.at(Number(prop)) : Reflect.get(target, prop, receiver);
+	},
+	has(target, prop) {
+		return isIndex(prop) ? Number(prop) < target.length : Reflect.has(target, prop);
+	}
+};
 
 /**
  * A map is an ordered list for key-value items. The map also allows for value lookup
- * by key name through the get() method.
- * @constructor
+ * by key through the get() method.
+ *
+ * Keys may be of any type, and are compared using the same equality as a
+ * native Map. Unlike earlier versions, keys are not converted to strings, so
+ * 10 and '10' are different keys. The list is kept in a balanced tree, making
+ * insert, remove, and index lookups O(log n). Values comparing equal are kept
+ * in the order they were added.
+ *
+ * The map is array-like. Values may be read by index, such as map[0], and the
+ * Array methods not modifying the array, such as forEach, map, and filter,
+ * are called on an array of the values. The splice method may be used to
+ * remove values.
  * @alias module:class/SortedMap
- * @param {function} [compare] Sort compare function. Defaults to sort by order they are added.
  */
-export default function(compare) {
-	/** @lends module:class/SortedMap.prototype */
-	var list = [];
+class SortedMap {
 
-	var map = {};
+	/**
+	 * Creates a SortedMap instance.
+	 * @param {function} [compare] Sort compare function. Defaults to sort by order they are added.
+	 */
+	constructor(compare) {
+		this._compare = compare || null;
+		this._entryCompare = compare
+			? (a, b) => compare(a.value, b.value) || a.seq - b.seq
+			: null;
+		this._seq = 0;
+		this._tree = new RankTree();
+		this._nodes = new Map();
+
+		return new Proxy(this, indexHandler);
+	}
+
+	/**
+	 * Number of values in the map.
+	 */
+	get length() {
+		return this._tree.length;
+	}
 
 	/**
 	 * Adds a value to the map
-	 * @param {string} key Key of value to add
+	 * @param {*} key Key of value to add
 	 * @param {*} value Value to add
-	 * @param {number} [idx] Index of position to insert value. Default is at the end. Ignored if a §ompare function is used
+	 * @param {number} [idx] Index of position to insert value. Default is at the end. Ignored if a compare function is used
 	 * @returns {number} Index of insert position
 	 */
-	list.add = function(key, value, idx) {
-		if (map[key]) throw "Map key [" + key + "] already exists";
-
-		map[key] = value;
+	add(key, value, idx) {
+		if (this._nodes.has(key)) {
+			throw new Error("Map key [" + String(key) + "] already exists.");
+		}
 
-		if (compare) {
-			idx = array.binaryInsert(list, value, compare, true);
+		let node = RankTree.node({ key, value, seq: this._seq++ });
+		if (this._compare) {
+			this._tree.insertSorted(node, this._entryCompare);
 		} else {
-			if (typeof idx != 'number' || idx >= list.length) {
-				idx = list.length;
-				list.push(value);
-			} else if (idx <= 0) {
-				idx = 0;
-				list.unshift(value);
-			} else {
-				list.splice(idx, 0, value);
-			}
+			this._tree.insertAt(node, typeof idx == 'number' ? idx : this._tree.length);
 		}
+		this._nodes.set(key, node);
 
-		return idx;
-	};
+		return this._tree.indexOf(node);
+	}
 
 	/**
 	 * Removes a value item from the map
-	 * @param {string} key Key of value to remove
+	 * @param {*} key Key of value to remove
 	 * @returns {number} Index of value position before removal. -1 if key doesn't exist
 	 */
-	list.remove = function(key) {
-		var idx, value = map[key];
-		if (value === undefined) {
+	remove(key) {
+		let node = this._nodes.get(key);
+		if (!node) {
 			return -1;
 		}
 
-		delete map[key];
-		idx = compare
-			? array.binarySearch(list, value, compare)
-			: list.indexOf(value);
+		let idx = this._tree.indexOf(node);
+		this._tree.remove(node);
+		this._nodes.delete(key);
+
+		return idx;
+	}
 
-		if (idx >= 0) {
-			list.splice(idx, 1);
+	/**
+	 * Moves a value to a new position in the map.
+	 * Invalid if the map has a compare function.
+	 * @param {*} key Key of value to move
+	 * @param {number} idx Index of position to move the value to. Out of bounds values are moved to the start or the end.
+	 * @returns {number} Index of value position before the move. -1 if key doesn't exist
+	 */
+	move(key, idx) {
+		if (this._compare) {
+			throw new Error("Cannot use move in map with compare.");
 		}
 
-		return idx;
-	};
+		let node = this._nodes.get(key);
+		if (!node) {
+			return -1;
+		}
+
+		let from = this._tree.indexOf(node);
+		this._tree.remove(node);
+		this._tree.insertAt(node, typeof idx == 'number' ? idx : this._tree.length);
+
+		return from;
+	}
+
+	/**
+	 * Moves a value to its sorted position, in case its sort order may have
+	 * changed since it was added.
+	 * @param {*} key Key of value to reposition
+	 * @returns {number} Index of value position after repositioning. -1 if key doesn't exist
+	 */
+	reposition(key) {
+		let node = this._nodes.get(key);
+		if (!node) {
+			return -1;
+		}
+
+		if (this._compare) {
+			let prev = this._tree.prev(node);
+			let next = this._tree.next(node);
+			if (
+				(prev && this._entryCompare(prev.value, node.value) > 0) ||
+				(next && this._entryCompare(node.value, next.value) > 0)
+			) {
+				this._tree.remove(node);
+				this._tree.insertSorted(node, this._entryCompare);
+			}
+		}
+
+		return this._tree.indexOf(node);
+	}
+
+	/**
+	 * Moves a value step by step past any neighbouring values it is out of
+	 * order with. Unlike reposition, it does not rely on the other values
+	 * being sorted, and may be used to restore the order after values were
+	 * added or repositioned while the sort order of other values was stale.
+	 * @param {*} key Key of value to settle
+	 * @returns {number} Index of value position after settling. -1 if key doesn't exist
+	 */
+	settle(key) {
+		let node = this._nodes.get(key);
+		if (!node) {
+			return -1;
+		}
+
+		if (this._compare) {
+			let target = null;
+			let after = false;
+			let n = this._tree.prev(node);
+			while (n && this._entryCompare(n.value, node.value) > 0) {
+				target = n;
+				n = this._tree.prev(n);
+			}
+			if (!target) {
+				n = this._tree.next(node);
+				while (n && this._entryCompare(node.value, n.value) > 0) {
+					target = n;
+					n = this._tree.next(n);
+				}
+				after = true;
+			}
+			if (target) {
+				this._tree.remove(node);
+				let idx = this._tree.indexOf(target);
+				this._tree.insertAt(node, after ? idx + 1 : idx);
+			}
+		}
+
+		return this._tree.indexOf(node);
+	}
 
 	/**
 	 * Gets a value from the map by key
-	 * @param {string} key Key of value to get
+	 * @param {*} key Key of value to get
 	 * @returns {*} Stored value. Undefined if key doesn't exist
 	 */
-	list.get = function(key) {
-		return map[key];
-	};
+	get(key) {
+		let node = this._nodes.get(key);
+		return node ? node.value.value : undefined;
+	}
+
+	/**
+	 * Checks if a key exists in the map
+	 * @param {*} key Key of value
+	 * @returns {boolean} True if the key exists, otherwise false.
+	 */
+	has(key) {
+		return this._nodes.has(key);
+	}
 
 	/**
 	 * Retrieves the order index of a value in the map
-	 * @param {string} key Key of value to get index for
+	 * @param {*} key Key of value to get index for
 	 * @returns {number} Index of value position. -1 if key doesn't exist
 	 */
-	list.indexOfKey = function(key) {
-		var value = map[key];
-		if (!value) {
-			return -1;
+	indexOfKey(key) {
+		let node = this._nodes.get(key);
+		return node ? this._tree.indexOf(node) : -1;
+	}
+
+	/**
+	 * Retrieves the order index of a value in the map.
+	 * Alias for indexOfKey.
+	 * @param {*} key Key of value to get index for
+	 * @returns {number} Index of value position. -1 if key doesn't exist
+	 */
+	rank(key) {
+		return this.indexOfKey(key);
+	}
+
+	/**
+	 * Gets the key of the value at a given index.
+	 * @param {number} idx Index of value position.
+	 * @returns {*} Key of the value. Undefined if the index is out of bounds.
+	 */
+	select(idx) {
+		let node = this._tree.at(idx);
+		return node ? node.value.key : undefined;
+	}
+
+	/**
+	 * Gets the value at a given index.
+	 * @param {number} idx Index of value position.
+	 * @returns {*} Stored value. Undefined if the index is out of bounds.
+	 */
+	at(idx) {
+		let node = this._tree.at(idx);
+		return node ? node.value.value : undefined;
+	}
+
+	/**
+	 * Retrieves the order index of a value by scanning the map.
+	 * Use indexOfKey for a faster lookup.
+	 * @param {*} value Value to get index for
+	 * @returns {number} Index of value position. -1 if value doesn't exist
+	 */
+	indexOf(value) {
+		let i = 0;
+		for (let v of this) {
+			if (v === value) {
+				return i;
+			}
+			i++;
 		}
-		return compare
-			? array.binarySearch(list, value, compare)
-			: list.indexOf(value);
+		return -1;
+	}
+
+	/**
+	 * Returns a section of the map values as an array, similar to Array.slice.
+	 * @param {number} [begin] Zero-based index at which to begin extraction. Defaults to 0.
+	 * @param {number} [end] Zero-based index before which to end extraction. Defaults to the length of the map.
+	 * @returns {Array.<*>} Array of values.
+	 */
+	slice(begin, end) {
+		let l = this._tree.length;
+		begin = typeof begin == 'number'
+			? begin < 0 ? Math.max(0, l + begin) : Math.min(l, begin)
+			: 0;
+		end = typeof end == 'number'
+			? end < 0 ? Math.max(0, l + end) : Math.min(l, end)
+			: l;
+
+		let arr = [];
+		let node = begin < end ? this._tree.at(begin) : null;
+		for (let i = begin; i < end; i++) {
+			arr.push(node.value.value);
+			node = this._tree.next(node);
+		}
+		return arr;
+	}
+
+	/**
+	 * Removes values by index, similar to Array.splice. Values can't be
+	 * inserted, as they have no key. Use add to insert values.
+	 * @param {number} start Zero-based index at which to start removing values.
+	 * @param {number} [deleteCount] Number of values to remove. Defaults to all values from start.
+	 * @returns {Array.<*>} Array of removed values.
+	 */
+	splice(start, deleteCount) {
+		if (arguments.length > 2) {
+			throw new Error("Cannot insert values without keys. Use add instead.");
+		}
+		let l = this._tree.length;
+		start = start < 0 ? Math.max(0, l + start) : Math.min(l, start || 0);
+		deleteCount = arguments.length < 2 ? l - start : Math.max(0, Math.min(l - start, deleteCount));
+
+		let removed = [];
+		for (let i = 0; i < deleteCount; i++) {
+			let node = this._tree.at(start);
+			this._tree.remove(node);
+			this._nodes.delete(node.value.key);
+			removed.push(node.value.value);
+		}
+		return removed;
+	}
+
+	/**
+	 * Returns an array of the map values.
+	 * @returns {Array.<*>} Array of values.
+	 */
+	toArray() {
+		return this.slice();
+	}
+
+	/**
+	 * Returns an iterable for the values from the position of loKey up to and
+	 * including the position of hiKey. If either key doesn't exist, or hiKey is
+	 * positioned before loKey, nothing is iterated over.
+	 * @param {*} loKey Key of first value.
+	 * @param {*} hiKey Key of last value.
+	 * @returns {Iterable.<*>} Iterable of values.
+	 */
+	between(loKey, hiKey) {
+		let first = this._nodes.get(loKey);
+		let last = this._nodes.get(hiKey);
+		if (!first || !last || this._tree.indexOf(first) > this._tree.indexOf(last)) {
+			first = last = null;
+		}
+		return this._iterate(first, last);
+	}
+
+	[Symbol.iterator]() {
+		let tree = this._tree;
+		return this._iterate(tree.at(0), tree.at(tree.length - 1));
+	}
+
+	// Returns an iterable for the values of the nodes from first to last.
+	_iterate(first, last) {
+		let tree = this._tree;
+		let node = first;
+		let it = {
+			next: function() {
+				if (!node) {
+					return { done: true };
+				}
+				let value = node.value.value;
+				node = node === last ? null : tree.next(node);
+				return { value, done: false };
+			}
+		};
+		it[Symbol.iterator] = () => it;
+		return it;
+	}
+}
+
+for (let name of arrayMethods) {
+	SortedMap.prototype[name] = function(...args) {
+		return Array.prototype[name].apply(this.toArray(), args);
 	};
+}
 
-	return list;
-};
+export default SortedMap;
@@ -0,0 +1,279 @@
+import SortedMap from './SortedMap';
+
+describe("SortedMap", () => {
+	let map;
+	let compare = (a, b) => a.fruit.localeCompare(b.fruit);
+	let items;
+
+	beforeEach(() => {
+		items = {
+			10: { id: 10, fruit: 'banana' },
+			20: { id: 20, fruit: 'pineapple' },
+			30:	{ id: 30, fruit: 'orange' },
+			40:	{ id: 40, fruit: 'apple' },
+			50:	{ id: 50, fruit: 'kiwi' }
+		};
+		map = new SortedMap(compare);
+		for (let id of [ 10, 20, 30, 40 ]) {
+			map.add(id, items[id]);
+		}
+	});
+
+	function fruits(m) {
+		return m.toArray().map(v => v.fruit);
+	}
+
+	describe("add", () => {
+		it("adds values in sort order", () => {
+			expect(fruits(map)).toEqual([ 'apple', 'banana', 'orange', 'pineapple' ]);
+			expect(map.length).toBe(4);
+		});
+
+		it("returns the insert index", () => {
+			expect(map.add(50, items[50])).toBe(2);
+		});
+
+		it("adds values at index without compare", () => {
+			map = new SortedMap();
+			expect(map.add('a', 1)).toBe(0);
+			expect(map.add('b', 2)).toBe(1);
+			expect(map.add('c', 3, 0)).toBe(0);
+			expect(map.add('d', 4, 10)).toBe(3);
+			expect(map.toArray()).toEqual([ 3, 1, 2, 4 ]);
+		});
+
+		it("throws an error on duplicate key", () => {
+			expect(() => map.add(10, items[50])).toThrow();
+		});
+	});
+
+	describe("remove", () => {
+		it("removes value and returns its previous index", () => {
+			expect(map.remove(30)).toBe(2);
+			expect(fruits(map)).toEqual([ 'apple', 'banana', 'pineapple' ]);
+			expect(map.get(30)).toBe(undefined);
+		});
+
+		it("returns -1 on missing key", () => {
+			expect(map.remove(50)).toBe(-1);
+			expect(map.length).toBe(4);
+		});
+
+		it("removes the correct value among equal values", () => {
+			let banana = { id: 60, fruit: 'banana' };
+			map.add(60, banana);
+			expect(map.remove(60)).toBe(2);
+			expect(map.get(10)).toBe(items[10]);
+			expect(map.at(1)).toBe(items[10]);
+		});
+	});
+
+	describe("keys", () => {
+		test.each([
+			[ '__proto__' ],
+			[ 'constructor' ],
+			[ 'hasOwnProperty' ],
+			[ 0 ],
+			[ 1 ],
+			[ null ],
+			[ undefined ],
+			[{}],
+		])("handles key %p", (key) => {
+			map = new SortedMap();
+			expect(map.get(key)).toBe(undefined);
+			expect(map.has(key)).toBe(false);
+			map.add(key, 'value');
+			expect(map.get(key)).toBe('value');
+			expect(map.has(key)).toBe(true);
+			expect(map.indexOfKey(key)).toBe(0);
+			expect(map.remove(key)).toBe(0);
+			expect(map.has(key)).toBe(false);
+		});
+
+		it("does not coerce keys to strings", () => {
+			map = new SortedMap();
+			map.add(1, 'number');
+			map.add('1', 'string');
+			expect(map.get(1)).toBe('number');
+			expect(map.get('1')).toBe('string');
+		});
+
+		it("handles falsy values", () => {
+			map = new SortedMap();
+			map.add('a', 0);
+			expect(map.has('a')).toBe(true);
+			expect(() => map.add('a', 1)).toThrow();
+			expect(map.indexOfKey('a')).toBe(0);
+		});
+	});
+
+	describe("rank and select", () => {
+		it("returns the index of a key", () => {
+			expect([ 10, 20, 30, 40, 50 ].map(id => map.rank(id))).toEqual([ 1, 3, 2, 0, -1 ]);
+		});
+
+		it("returns the key at an index", () => {
+			expect([ -1, 0, 1, 2, 3, 4 ].map(i => map.select(i))).toEqual([ undefined, 40, 10, 30, 20, undefined ]);
+		});
+
+		it("returns the value at an index", () => {
+			expect(map.at(2)).toBe(items[30]);
+			expect(map.at(4)).toBe(undefined);
+		});
+	});
+
+	describe("between", () => {
+		test.each([
+			[ 40, 20, [ 'apple', 'banana', 'orange', 'pineapple' ]],
+			[ 10, 30, [ 'banana', 'orange' ]],
+			[ 30, 30, [ 'orange' ]],
+			[ 30, 10, []],
+			[ 50, 20, []],
+			[ 10, 50, []],
+		])("given keys %p and %p, iterates over %p", (lo, hi, expected) => {
+			expect(Array.from(map.between(lo, hi)).map(v => v.fruit)).toEqual(expected);
+		});
+	});
+
+	describe("slice", () => {
+		test.each([
+			[ undefined, undefined, [ 'apple', 'banana', 'orange', 'pineapple' ]],
+			[ 1, undefined, [ 'banana', 'orange', 'pineapple' ]],
+			[ 1, 3, [ 'banana', 'orange' ]],
+			[ -2, undefined, [ 'orange', 'pineapple' ]],
+			[ 0, -1, [ 'apple', 'banana', 'orange' ]],
+			[ 3, 1, []],
+			[ 10, 20, []],
+		])("given begin=%p and end=%p, returns %p", (begin, end, expected) => {
+			expect(map.slice(begin, end).map(v => v.fruit)).toEqual(expected);
+		});
+	});
+
+	describe("move", () => {
+		it("moves value and returns its previous index", () => {
+			map = new SortedMap();
+			map.add('a', 1);
+			map.add('b', 2);
+			map.add('c', 3);
+			expect(map.move('a', 2)).toBe(0);
+			expect(map.toArray()).toEqual([ 2, 3, 1 ]);
+			expect(map.move('d', 0)).toBe(-1);
+		});
+
+		it("throws an error on map with compare", () => {
+			expect(() => map.move(10, 0)).toThrow();
+		});
+	});
+
+	describe("reposition", () => {
+		it("moves changed value to its sorted position", () => {
+			items[10].fruit = 'peach';
+			expect(map.reposition(10)).toBe(2);
+			expect(fruits(map)).toEqual([ 'apple', 'orange', 'peach', 'pineapple' ]);
+		});
+
+		it("returns value to its position among equal values", () => {
+			map.add(50, { id: 50, fruit: 'banana' });
+			map.add(60, { id: 60, fruit: 'banana' });
+			items[10].fruit = 'peach';
+			map.reposition(10);
+			items[10].fruit = 'banana';
+			expect(map.reposition(10)).toBe(1);
+			expect(map.toArray().map(v => v.id)).toEqual([ 40, 10, 50, 60, 30, 20 ]);
+		});
+
+		it("returns -1 on missing key", () => {
+			expect(map.reposition(50)).toBe(-1);
+		});
+	});
+
+	describe("settle", () => {
+		it("moves a value past the neighbours it is out of order with", () => {
+			items[30].fruit = 'zucchini';
+			map.add(50, items[50]);
+			expect(fruits(map)).toEqual([ 'apple', 'banana', 'kiwi', 'zucchini', 'pineapple' ]);
+			expect(map.settle(30)).toBe(4);
+			expect(fruits(map)).toEqual([ 'apple', 'banana', 'kiwi', 'pineapple', 'zucchini' ]);
+		});
+
+		it("moves a value backwards", () => {
+			items[20].fruit = 'avocado';
+			expect(map.settle(20)).toBe(1);
+			expect(fruits(map)).toEqual([ 'apple', 'avocado', 'banana', 'orange' ]);
+		});
+
+		it("keeps a value in order with its neighbours", () => {
+			expect(map.settle(30)).toBe(2);
+			expect(fruits(map)).toEqual([ 'apple', 'banana', 'orange', 'pineapple' ]);
+		});
+
+		it("returns -1 on missing key", () => {
+			expect(map.settle(50)).toBe(-1);
+		});
+	});
+
+	describe("array-like", () => {
+		it("gets values by index", () => {
+			expect(map[0]).toBe(items[40]);
+			expect(map[3]).toBe(items[20]);
+			expect(map[4]).toBe(undefined);
+			expect(3 in map).toBe(true);
+			expect(4 in map).toBe(false);
+		});
+
+		it("calls array methods on the values", () => {
+			expect(map.map(v => v.id)).toEqual([ 40, 10, 30, 20 ]);
+			expect(map.filter(v => v.id > 20).length).toBe(2);
+			expect(map.find(v => v.fruit == 'orange')).toBe(items[30]);
+			expect(map.reduce((sum, v) => sum + v.id, 0)).toBe(100);
+			expect(map.some(v => v.id == 50)).toBe(false);
+			let ids = [];
+			map.forEach(v => ids.push(v.id));
+			expect(ids).toEqual([ 40, 10, 30, 20 ]);
+		});
+
+		it("removes values by index with splice", () => {
+			expect(map.splice(1, 2)).toEqual([ items[10], items[30] ]);
+			expect(fruits(map)).toEqual([ 'apple', 'pineapple' ]);
+			expect(map.has(10)).toBe(false);
+			expect(map.splice(-1)).toEqual([ items[20] ]);
+			expect(map.length).toBe(1);
+		});
+
+		it("throws an error on splice with values to insert", () => {
+			expect(() => map.splice(0, 0, items[50])).toThrow();
+		});
+	});
+
+	it("iterates over values in order", () => {
+		expect(Array.from(map).map(v => v.fruit)).toEqual([ 'apple', 'banana', 'orange', 'pineapple' ]);
+		expect(Array.from(new SortedMap())).toEqual([]);
+	});
+
+	it("finds the index of a value", () => {
+		expect(map.indexOf(items[30])).toBe(2);
+		expect(map.indexOf(items[50])).toBe(-1);
+	});
+
+	it("keeps order with many random operations", () => {
+		let keys = [];
+		for (let i = 0; i < 500; i++) {
+			if (keys.length && Math.random() < 0.3) {
+				let key = keys.splice(Math.floor(Math.random() * keys.length), 1)[0];
+				map.remove(key);
+			} else {
+				let key = 'k' + i;
+				keys.push(key);
+				map.add(key, { fruit: String(Math.floor(Math.random() * 100)) });
+			}
+		}
+		let arr = map.toArray();
+		expect(arr.length).toBe(keys.length + 4);
+		for (let i = 1; i < arr.length; i++) {
+			expect(compare(arr[i - 1], arr[i]) <= 0).toBe(true);
+		}
+		for (let key of keys) {
+			expect(map.at(map.rank(key))).toBe(map.get(key));
+		}
+	});
+});
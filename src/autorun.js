@@ -0,0 +1,125 @@
+// Stack of dependency maps for the running autoruns. A null entry means
+// reads are not tracked.
+let stack = [];
+
+/**
+ * Registers that an object is read. If called while an autorun or reaction
+ * is tracking, it will be subscribed to the given events of the object.
+ * @param {object} target Object with on and off methods, such as a Model or Collection.
+ * @param {string} events Space-separated events that signals a change to the read value.
+ * @private
+ */
+export function observed(target, events) {
+	let deps = stack.length ? stack[stack.length - 1] : null;
+	if (!deps) {
+		return;
+	}
+	let evs = deps.get(target);
+	if (!evs) {
+		evs = new Set();
+		deps.set(target, evs);
+	}
+	for (let ev of events.split(' ')) {
+		evs.add(ev);
+	}
+}
+
+/**
+ * Calls a function without tracking any reads made by it.
+ * @param {function} fn Function to call.
+ * @returns {*} Return value of fn.
+ */
+export function untracked(fn) {
+	stack.push(null);
+	try {
+		return fn();
+	} finally {
+		stack.pop();
+	}
+}
+
+// Creates a tracker calling run, and calling it again whenever an event is
+// emitted on any of the objects read during the previous call. Returns a
+// disposer.
+function track(run) {
+	let deps = new Map();
+	let disposed = false;
+
+	let listen = on => {
+		for (let [ target, evs ] of deps) {
+			target[on ? 'on' : 'off'](Array.from(evs).join(' '), onEvent);
+		}
+	};
+	let update = () => {
+		let nd = new Map();
+		stack.push(nd);
+		try {
+			run();
+		} finally {
+			stack.pop();
+			listen(false);
+			deps = nd;
+			if (!disposed) {
+				listen(true);
+			}
+		}
+	};
+	let onEvent = () => {
+		if (!disposed) {
+			update();
+		}
+	};
+	let dispose = () => {
+		if (!disposed) {
+			disposed = true;
+			listen(false);
+			deps = new Map();
+		}
+	};
+
+	// Unsubscribe if the first call throws, as no disposer is returned.
+	try {
+		update();
+	} catch (err) {
+		dispose();
+		throw err;
+	}
+
+	return dispose;
+}
+
+/**
+ * Calls a function, and calls it again whenever a Model, Collection, or
+ * wrapper read by the function emits an event affecting the read values.
+ *
+ * Values are read by accessing the props, a promoted property, atIndex,
+ * length, or by iterating. Only reads made synchronously are tracked.
+ * @param {function} fn Function to call.
+ * @returns {function} Disposer that stops the autorun and unsubscribes all events.
+ */
+export function autorun(fn) {
+	return track(fn);
+}
+
+/**
+ * Calls a track function in the same way as an autorun, and calls an effect
+ * whenever the value returned by the track function changes. Reads made by
+ * the effect are not tracked.
+ * @param {function} trackFn Function returning the value to react on.
+ * @param {function} effect Callback called when the value changes: function(value, previousValue)
+ * @returns {function} Disposer that stops the reaction and unsubscribes all events.
+ */
+export function reaction(trackFn, effect) {
+	let first = true;
+	let value;
+	return track(() => {
+		let v = trackFn();
+		let prev = value;
+		value = v;
+		if (first) {
+			first = false;
+		} else if (v !== prev) {
+			untracked(() => effect(v, prev));
+		}
+	});
+}
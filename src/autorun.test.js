@@ -0,0 +1,210 @@
+import Model from './Model';
+import ModifyModel from './ModifyModel';
+import Collection from './Collection';
+import CollectionWrapper from './CollectionWrapper';
+import { autorun, reaction, untracked } from './autorun';
+import eventBus from 'modapp-eventbus';
+
+describe("autorun", () => {
+	let model;
+	let other;
+	let collection;
+	let dispose;
+
+	jest.useFakeTimers();
+
+	beforeEach(() => {
+		// Clear eventbus listeners
+		eventBus._evs = {};
+
+		model = new Model({ data: { id: 10, fruit: 'banana', show: true }});
+		other = new Model({ data: { id: 20, fruit: 'pineapple' }});
+		collection = new Collection({
+			data: [
+				{ id: 10, fruit: 'banana' },
+				{ id: 20, fruit: 'pineapple' }
+			]
+		});
+		dispose = null;
+	});
+
+	afterEach(() => {
+		if (dispose) {
+			dispose();
+		}
+		// Validate we dont have any undisposed listeners
+		expect(Object.keys(eventBus._evs)).toEqual([]);
+	});
+
+	it("calls the function immediately", () => {
+		let fn = jest.fn();
+		dispose = autorun(fn);
+		expect(fn).toHaveBeenCalledTimes(1);
+	});
+
+	it("unsubscribes and rethrows if the first call throws", () => {
+		let err = new Error("Failed");
+		expect(() => autorun(() => {
+			if (model.fruit == 'banana') {
+				throw err;
+			}
+		})).toThrow(err);
+		expect(Object.keys(eventBus._evs)).toEqual([]);
+	});
+
+	it("reruns on change to a model read through props", () => {
+		let values = [];
+		dispose = autorun(() => values.push(model.props.fruit));
+		model.set({ fruit: 'apple' });
+		jest.runAllTimers();
+		expect(values).toEqual([ 'banana', 'apple' ]);
+	});
+
+	it("reruns on change to a model read through a promoted property", () => {
+		let values = [];
+		dispose = autorun(() => values.push(model.fruit));
+		model.set({ fruit: 'apple' });
+		jest.runAllTimers();
+		expect(values).toEqual([ 'banana', 'apple' ]);
+	});
+
+	it("reruns on change to a promoted property of a ModifyModel", () => {
+		let modify = new ModifyModel(model);
+		let values = [];
+		dispose = autorun(() => values.push(modify.isModified));
+		modify.set({ fruit: 'apple' });
+		jest.runAllTimers();
+		expect(values).toEqual([ false, true ]);
+		dispose();
+		modify.dispose();
+	});
+
+	it("reruns on add and remove to a collection read through iteration", () => {
+		let values = [];
+		dispose = autorun(() => values.push(Array.from(collection).map(m => m.fruit).join(",")));
+		collection.add({ id: 30, fruit: 'orange' });
+		jest.runAllTimers();
+		collection.remove(10);
+		jest.runAllTimers();
+		expect(values).toEqual([ 'banana,pineapple', 'banana,pineapple,orange', 'pineapple,orange' ]);
+	});
+
+	it("reruns on move in a collection read through atIndex", () => {
+		let values = [];
+		dispose = autorun(() => values.push(collection.atIndex(0).fruit));
+		collection.move(20, 0);
+		jest.runAllTimers();
+		expect(values).toEqual([ 'banana', 'pineapple' ]);
+	});
+
+	it("reruns on add to a collection wrapper read through length", () => {
+		let wrapper = new CollectionWrapper(collection, { filter: m => m.fruit.length <= 6 });
+		let values = [];
+		dispose = autorun(() => values.push(wrapper.length));
+		collection.add({ id: 30, fruit: 'orange' });
+		jest.runAllTimers();
+		expect(values).toEqual([ 1, 2 ]);
+		dispose();
+		wrapper.dispose();
+	});
+
+	it("updates subscriptions on each run", () => {
+		let values = [];
+		dispose = autorun(() => values.push(model.show ? other.fruit : null));
+		model.set({ show: false });
+		jest.runAllTimers();
+		other.set({ fruit: 'kiwi' });
+		jest.runAllTimers();
+		expect(values).toEqual([ 'pineapple', null ]);
+	});
+
+	it("does not track reads made within untracked", () => {
+		let values = [];
+		dispose = autorun(() => values.push(model.fruit + untracked(() => other.fruit)));
+		other.set({ fruit: 'kiwi' });
+		jest.runAllTimers();
+		expect(values).toEqual([ 'bananapineapple' ]);
+	});
+
+	it("stops and unsubscribes on dispose", () => {
+		let fn = jest.fn(() => model.fruit + collection.length);
+		autorun(fn)();
+		model.set({ fruit: 'apple' });
+		collection.add({ id: 30, fruit: 'orange' });
+		jest.runAllTimers();
+		expect(fn).toHaveBeenCalledTimes(1);
+		expect(Object.keys(eventBus._evs)).toEqual([]);
+	});
+
+	it("may dispose itself while running", () => {
+		let count = 0;
+		dispose = autorun(() => {
+			count++;
+			if (model.fruit == 'apple') {
+				dispose();
+			}
+		});
+		model.set({ fruit: 'apple' });
+		jest.runAllTimers();
+		model.set({ fruit: 'kiwi' });
+		jest.runAllTimers();
+		expect(count).toBe(2);
+	});
+});
+
+describe("reaction", () => {
+	let model;
+	let dispose;
+
+	jest.useFakeTimers();
+
+	beforeEach(() => {
+		// Clear eventbus listeners
+		eventBus._evs = {};
+
+		model = new Model({ data: { fruit: 'banana', color: 'yellow' }});
+		dispose = null;
+	});
+
+	afterEach(() => {
+		if (dispose) {
+			dispose();
+		}
+		// Validate we dont have any undisposed listeners
+		expect(Object.keys(eventBus._evs)).toEqual([]);
+	});
+
+	it("does not call effect initially", () => {
+		let effect = jest.fn();
+		dispose = reaction(() => model.fruit, effect);
+		expect(effect).not.toHaveBeenCalled();
+	});
+
+	it("calls effect with new and previous value on change", () => {
+		let effect = jest.fn();
+		dispose = reaction(() => model.fruit, effect);
+		model.set({ fruit: 'apple' });
+		jest.runAllTimers();
+		expect(effect).toHaveBeenCalledTimes(1);
+		expect(effect).toHaveBeenCalledWith('apple', 'banana');
+	});
+
+	it("does not call effect if the tracked value is unchanged", () => {
+		let effect = jest.fn();
+		dispose = reaction(() => model.fruit.length, effect);
+		model.set({ fruit: 'orange' });
+		jest.runAllTimers();
+		expect(effect).not.toHaveBeenCalled();
+	});
+
+	it("does not track reads made by the effect", () => {
+		let other = new Model({ data: { fruit: 'kiwi' }});
+		let effect = jest.fn(() => model.color);
+		dispose = reaction(() => other.fruit, effect);
+		other.set({ fruit: 'apple' });
+		jest.runAllTimers();
+		model.set({ color: 'red' });
+		jest.runAllTimers();
+		expect(effect).toHaveBeenCalledTimes(1);
+	});
+});
@@ -1,11 +1,18 @@
 import Collection, { sortOrderCompare } from './Collection.js';
 import CollectionWrapper from './CollectionWrapper.js';
 import CollectionToModel from './CollectionToModel.js';
+import FormModel from './FormModel.js';
+import History from './History.js';
 import JoinedCollection from './JoinedCollection.js';
 import Model from './Model.js';
+import ModifyCollection from './ModifyCollection.js';
 import ModifyModel from './ModifyModel.js';
 import ModelToCollection from './ModelToCollection.js';
 import ModelWrapper from './ModelWrapper.js';
 import SortedMap from './SortedMap.js';
+import { transaction } from './transaction.js';
+import { ValidationError } from './validation.js';
+import { autorun, reaction, untracked } from './autorun.js';
+import { getMeta } from './meta.js';
 
-export { Collection, CollectionWrapper, CollectionToModel, JoinedCollection, Model, ModifyModel, ModelToCollection, ModelWrapper, SortedMap, sortOrderCompare };
+export { Collection, CollectionWrapper, CollectionToModel, FormModel, History, JoinedCollection, Model, ModifyCollection, ModifyModel, ModelToCollection, ModelWrapper, SortedMap, sortOrderCompare, transaction, ValidationError, autorun, reaction, untracked, getMeta };
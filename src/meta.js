@@ -0,0 +1,76 @@
+/**
+ * Metadata passed on set, such as the origin of the change. It is carried
+ * by the resulting change events, and by any events caused by them.
+ * @typedef {object} meta~meta
+ * @property {*} [origin] Origin of the change, such as the object or service making it.
+ */
+
+// Metadata of emitted event data objects.
+let metas = new WeakMap();
+
+// Handlers wrapped to be called with the metadata, with the handler as key.
+let wrappers = new WeakMap();
+
+/**
+ * Attaches metadata to an event data object.
+ * @param {object} data Event data.
+ * @param {?meta~meta} [meta] Metadata.
+ * @returns {object} The event data.
+ * @private
+ */
+export function setMeta(data, meta) {
+	if (meta) {
+		metas.set(data, meta);
+	}
+	return data;
+}
+
+/**
+ * Gets the metadata attached to an event data object, such as the add and
+ * remove events of a CollectionWrapper or ModelToCollection caused by a
+ * change with metadata. Only change and changeRecord handlers get the
+ * metadata as an argument.
+ * @param {*} data Event data.
+ * @returns {?meta~meta} Metadata, or null if none is attached.
+ */
+export function getMeta(data) {
+	return data && typeof data == 'object' ? metas.get(data) || null : null;
+}
+
+function wrap(handler) {
+	let w = wrappers.get(handler);
+	if (!w) {
+		w = (data, target, event, action) => handler(data, target, getMeta(data), event, action);
+		wrappers.set(handler, w);
+	}
+	return w;
+}
+
+/**
+ * Adds or removes an event handler on the event bus. For any of the meta
+ * events, the handler is called with the metadata as third argument:
+ * function(data, target, meta, event, action)
+ * @param {module:modapp~EventBus} eventBus Event bus.
+ * @param {object} target Target object.
+ * @param {?string} events One or more space-separated events. Null means any event.
+ * @param {function} [handler] Event handler.
+ * @param {string} namespace Event bus namespace.
+ * @param {Array.<string>} metaEvents Events called with metadata.
+ * @param {boolean} on Flag telling if the handler should be added or removed.
+ * @private
+ */
+export function listen(eventBus, target, events, handler, namespace, metaEvents, on) {
+	let method = on ? 'on' : 'off';
+	if (events) {
+		let evs = events.match(/\S+/g) || [];
+		let wrapped = evs.filter(ev => metaEvents.indexOf(ev) >= 0);
+		if (wrapped.length) {
+			eventBus[method](target, wrapped.join(' '), handler && wrap(handler), namespace);
+			events = evs.filter(ev => metaEvents.indexOf(ev) < 0).join(' ');
+			if (!events) {
+				return;
+			}
+		}
+	}
+	eventBus[method](target, events, handler, namespace);
+}
@@ -0,0 +1,203 @@
+import Collection from './Collection';
+import CollectionWrapper from './CollectionWrapper';
+import Model from './Model';
+import ModelToCollection from './ModelToCollection';
+import ModelWrapper from './ModelWrapper';
+import ModifyModel from './ModifyModel';
+import { getMeta } from './meta';
+import eventBus from 'modapp-eventbus';
+
+describe("meta", () => {
+	let model;
+	let onChange;
+	let origin = { name: 'sync' };
+
+	jest.useFakeTimers();
+
+	beforeEach(() => {
+		// Clear eventbus listeners
+		eventBus._evs = {};
+
+		model = new Model({ data: { fruit: 'banana', count: 1 }});
+		onChange = jest.fn();
+	});
+
+	afterEach(() => {
+		jest.runAllTimers();
+		// Validate we dont have any undisposed listeners
+		expect(Object.keys(eventBus._evs)).toEqual([]);
+	});
+
+	describe("Model", () => {
+		it("passes the metadata to change handlers as third argument", () => {
+			model.on('change', onChange);
+			model.set({ fruit: 'apple' }, { origin, id: 42 });
+			jest.runAllTimers();
+			expect(onChange.mock.calls[0].slice(0, 4)).toEqual([{ fruit: 'banana' }, model, { origin, id: 42 }, 'model.change' ]);
+			model.off('change', onChange);
+		});
+
+		it("passes null to change handlers when set without metadata", () => {
+			model.on('change', onChange);
+			model.set({ fruit: 'apple' });
+			jest.runAllTimers();
+			expect(onChange.mock.calls[0][2]).toBe(null);
+			model.off('change', onChange);
+		});
+
+		it("passes the metadata to path change handlers", () => {
+			model.on('change:fruit', onChange);
+			model.set({ fruit: 'apple' }, { origin });
+			jest.runAllTimers();
+			expect(onChange.mock.calls[0][2]).toEqual({ origin });
+			model.off('change:fruit', onChange);
+		});
+
+		it("passes the metadata to middleware", () => {
+			let mw = jest.fn((props, ctx, next) => next());
+			model.use(mw);
+			model.set({ fruit: 'apple' }, { origin });
+			expect(mw.mock.calls[0][1]).toEqual({ model, meta: { origin }});
+		});
+
+		it("calls handlers for other events with the event bus arguments", () => {
+			model.on('change custom', onChange);
+			eventBus.emit(model, 'model.custom', { foo: 'bar' });
+			jest.runAllTimers();
+			expect(onChange.mock.calls[0].slice(0, 3)).toEqual([{ foo: 'bar' }, model, 'model.custom' ]);
+			model.off('change custom', onChange);
+		});
+
+		it("removes a change handler", () => {
+			model.on('change', onChange);
+			model.off('change', onChange);
+			model.set({ fruit: 'apple' }, { origin });
+			jest.runAllTimers();
+			expect(onChange).not.toHaveBeenCalled();
+		});
+
+		it("uses the metadata of the last set within a transaction", () => {
+			model.on('change', onChange);
+			model.batch(() => {
+				model.set({ fruit: 'apple' }, { origin: 'a' });
+				model.set({ count: 2 }, { origin: 'b' });
+			});
+			jest.runAllTimers();
+			expect(onChange).toHaveBeenCalledTimes(1);
+			expect(onChange.mock.calls[0][2]).toEqual({ origin: 'b' });
+			model.off('change', onChange);
+		});
+	});
+
+	describe("ModelWrapper", () => {
+		it("passes the metadata to the underlying model and on to its change handlers", () => {
+			let wrapper = new ModelWrapper(model);
+			let onModelChange = jest.fn();
+			model.on('change', onModelChange);
+			wrapper.on('change', onChange);
+			wrapper.set({ fruit: 'apple' }, { origin });
+			jest.runAllTimers();
+			expect(onModelChange.mock.calls[0][2]).toEqual({ origin });
+			expect(onChange.mock.calls[0].slice(0, 4)).toEqual([{ fruit: 'banana' }, wrapper, { origin }, 'modelWrapper.change' ]);
+			model.off('change', onModelChange);
+			wrapper.off('change', onChange);
+			wrapper.dispose();
+		});
+	});
+
+	describe("ModifyModel", () => {
+		it("passes the metadata to change handlers", () => {
+			let modify = new ModifyModel(model);
+			modify.on('change', onChange);
+			modify.set({ fruit: 'apple' }, { origin });
+			jest.runAllTimers();
+			expect(onChange.mock.calls[0][2]).toEqual({ origin });
+			modify.off('change', onChange);
+			modify.dispose();
+		});
+
+		it("keeps the metadata of changes of the underlying model", () => {
+			let modify = new ModifyModel(model);
+			modify.on('change', onChange);
+			model.set({ fruit: 'apple' }, { origin });
+			jest.runAllTimers();
+			expect(onChange.mock.calls[0].slice(0, 4)).toEqual([{ fruit: 'banana' }, modify, { origin }, 'modifyModel.change' ]);
+			modify.off('change', onChange);
+			modify.dispose();
+		});
+	});
+
+	describe("CollectionWrapper", () => {
+		it("passes the metadata of an item change to the events it causes", () => {
+			let collection = new Collection({
+				data: [
+					{ id: 10, fruit: 'banana' },
+					{ id: 20, fruit: 'pineapple' }
+				],
+				modelFactory: data => new Model({ data })
+			});
+			let wrapper = new CollectionWrapper(collection, {
+				filter: m => m.fruit.length <= 6
+			});
+			wrapper.on('add remove', onChange);
+			collection.atIndex(0).set({ fruit: 'blueberry' }, { origin });
+			collection.atIndex(1).set({ fruit: 'kiwi' });
+			jest.runAllTimers();
+			expect(onChange.mock.calls.map(c => [ c[2], getMeta(c[0]) ])).toEqual([
+				[ 'collectionWrapper.remove', { origin }],
+				[ 'collectionWrapper.add', null ]
+			]);
+			wrapper.off('add remove', onChange);
+			wrapper.dispose();
+		});
+	});
+
+	describe("getMeta", () => {
+		it("returns null for event data without metadata", () => {
+			expect(getMeta({ foo: 'bar' })).toBe(null);
+			expect(getMeta(null)).toBe(null);
+			expect(getMeta('foo')).toBe(null);
+		});
+	});
+
+	describe("ModelToCollection", () => {
+		it("passes the metadata of a model change to the events it causes", () => {
+			let collection = new ModelToCollection(model);
+			collection.on('add remove', onChange);
+			model.set({ fruit: 'apple' }, { origin });
+			jest.runAllTimers();
+			expect(onChange.mock.calls.map(c => [ c[2], getMeta(c[0]) ])).toEqual([
+				[ 'modelToCollection.remove', { origin }],
+				[ 'modelToCollection.add', { origin }]
+			]);
+			collection.off('add remove', onChange);
+			collection.dispose();
+		});
+
+		it("calls add and remove handlers with the event bus arguments", () => {
+			let collection = new ModelToCollection(model);
+			collection.on('add', onChange);
+			model.set({ fruit: 'apple' }, { origin });
+			jest.runAllTimers();
+			expect(onChange.mock.calls[0].slice(1, 3)).toEqual([ collection, 'modelToCollection.add' ]);
+			collection.off('add', onChange);
+			collection.dispose();
+		});
+
+		it("passes the metadata of a model value change to the events it causes", () => {
+			let nested = new Model({ data: {
+				a: new Model({ data: { fruit: 'banana' }}),
+				b: new Model({ data: { fruit: 'orange' }})
+			}});
+			let collection = new ModelToCollection(nested, {
+				compare: (a, b) => a.value.fruit.localeCompare(b.value.fruit)
+			});
+			collection.on('add remove', onChange);
+			nested.props.a.set({ fruit: 'pear' }, { origin });
+			jest.runAllTimers();
+			expect(onChange.mock.calls.map(c => getMeta(c[0]))).toEqual([{ origin }, { origin }]);
+			collection.off('add remove', onChange);
+			collection.dispose();
+		});
+	});
+});
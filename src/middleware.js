@@ -0,0 +1,81 @@
+// Middleware applied to all models.
+let globals = [];
+
+/**
+ * Middleware callback, called on set before the properties are applied.
+ *
+ * The middleware may transform the properties by calling next with new
+ * properties, veto the update by not calling next, or defer it by calling
+ * next later. The return value of next should be returned, or passed on
+ * in a returned promise.
+ * @callback middleware~middleware
+ * @param {object} props Properties to set.
+ * @param {middleware~context} ctx Context of the update.
+ * @param {function} next Function calling the next middleware, or applying the properties: function([props]) -> Promise. Calling it without props passes on the same properties.
+ * @returns {*} Return value of next, or a promise of it. The set resolves to this value.
+ */
+
+/**
+ * Middleware context.
+ * @typedef {object} middleware~context
+ * @property {object} model Model being set.
+ * @property {?meta~meta} meta Metadata passed on set, or null if none.
+ */
+
+/**
+ * Adds a middleware to a list, returning a function removing it.
+ * @param {Array.<function>} list List of middleware.
+ * @param {middleware~middleware} middleware Middleware to add.
+ * @returns {function} Function removing the middleware.
+ * @private
+ */
+export function addMiddleware(list, middleware) {
+	if (typeof middleware != 'function') {
+		throw new Error("Middleware must be a function.");
+	}
+	list.push(middleware);
+	return () => {
+		let i = list.indexOf(middleware);
+		if (i >= 0) {
+			list.splice(i, 1);
+		}
+	};
+}
+
+/**
+ * Adds a middleware applied to all models.
+ * @param {middleware~middleware} middleware Middleware to add.
+ * @returns {function} Function removing the middleware.
+ */
+export function useGlobal(middleware) {
+	return addMiddleware(globals, middleware);
+}
+
+/**
+ * Passes properties through the global middleware, followed by the
+ * middleware of the model, before calling done with the resulting
+ * properties.
+ * @param {?Array.<function>} list Middleware of the model.
+ * @param {object} props Properties to set.
+ * @param {middleware~context} ctx Context of the update.
+ * @param {function} done Callback applying the properties: function(props) -> Promise
+ * @param {boolean} [noGlobals] Flag telling if the global middleware should be skipped.
+ * @returns {Promise} Promise to the result of the middleware.
+ * @private
+ */
+export function applyMiddleware(list, props, ctx, done, noGlobals) {
+	let mws = noGlobals
+		? (list || []).slice()
+		: list && list.length ? globals.concat(list) : globals.slice();
+	if (!mws.length) {
+		return done(props);
+	}
+	let run = (i, p) => i < mws.length
+		? mws[i](p, ctx, np => run(i + 1, np === undefined ? p : np))
+		: done(p);
+	try {
+		return Promise.resolve(run(0, props));
+	} catch (err) {
+		return Promise.reject(err);
+	}
+}
@@ -0,0 +1,225 @@
+import Model from './Model';
+import ModelWrapper from './ModelWrapper';
+import ModifyModel from './ModifyModel';
+import FormModel from './FormModel';
+import eventBus from 'modapp-eventbus';
+
+describe("middleware", () => {
+	let model;
+	let removeGlobal;
+
+	jest.useFakeTimers();
+
+	beforeEach(() => {
+		// Clear eventbus listeners
+		eventBus._evs = {};
+
+		model = new Model({ data: { name: 'Jane', age: 42 }});
+		removeGlobal = null;
+	});
+
+	afterEach(() => {
+		jest.runAllTimers();
+		if (removeGlobal) {
+			removeGlobal();
+		}
+	});
+
+	it("passes the props and context to the middleware", () => {
+		let mw = jest.fn((props, ctx, next) => next());
+		model.use(mw);
+		return model.set({ age: 43 }).then(changed => {
+			expect(mw).toHaveBeenCalledWith({ age: 43 }, { model, meta: null }, expect.any(Function));
+			expect(changed).toEqual({ age: 42 });
+			expect(model.age).toBe(43);
+		});
+	});
+
+	it("sets synchronously with synchronous middleware", () => {
+		model.use((props, ctx, next) => next());
+		model.set({ age: 43 });
+		expect(model.age).toBe(43);
+	});
+
+	it("transforms props", () => {
+		model.use((props, ctx, next) => next(Object.assign({}, props, { name: props.name.trim() })));
+		model.set({ name: '  John ' });
+		expect(model.name).toBe('John');
+	});
+
+	it("vetoes the update by not calling next", () => {
+		model.use(() => null);
+		return model.set({ age: 43 }).then(result => {
+			expect(result).toBe(null);
+			expect(model.age).toBe(42);
+		});
+	});
+
+	it("rejects when a middleware throws", () => {
+		let err = new Error("Not allowed");
+		model.use(() => {
+			throw err;
+		});
+		return expect(model.set({ age: 43 })).rejects.toBe(err).then(() => {
+			expect(model.age).toBe(42);
+		});
+	});
+
+	it("defers the update", () => {
+		let resume;
+		model.use((props, ctx, next) => new Promise(resolve => {
+			resume = () => resolve(next());
+		}));
+		let promise = model.set({ age: 43 });
+		expect(model.age).toBe(42);
+		resume();
+		return promise.then(changed => {
+			expect(changed).toEqual({ age: 42 });
+			expect(model.age).toBe(43);
+		});
+	});
+
+	it("calls global middleware before model middleware, in order added", () => {
+		let calls = [];
+		model.use((props, ctx, next) => {
+			calls.push('model');
+			return next();
+		});
+		removeGlobal = Model.use((props, ctx, next) => {
+			calls.push('global');
+			return next();
+		});
+		model.set({ age: 43 });
+		expect(calls).toEqual([ 'global', 'model' ]);
+	});
+
+	it("stops calling a removed middleware", () => {
+		let mw = jest.fn((props, ctx, next) => next());
+		let remove = model.use(mw);
+		remove();
+		model.set({ age: 43 });
+		expect(mw).not.toHaveBeenCalled();
+		expect(model.age).toBe(43);
+	});
+
+	it("throws on a middleware not being a function", () => {
+		expect(() => model.use({})).toThrow();
+	});
+
+	it("applies to ModifyModel.set", () => {
+		let modify = new ModifyModel(model);
+		modify.use((props, ctx, next) => {
+			expect(ctx.model).toBe(modify);
+			return next({ age: Number(props.age) });
+		});
+		modify.set({ age: '43' });
+		expect(modify.age).toBe(43);
+		expect(modify.isModified).toBe(true);
+		modify.dispose();
+	});
+
+	it("does not apply to ModifyModel updates from the underlying model", () => {
+		let modify = new ModifyModel(model);
+		let mw = jest.fn(() => null);
+		modify.use(mw);
+		model.set({ age: 43 });
+		jest.runAllTimers();
+		expect(mw).not.toHaveBeenCalled();
+		expect(modify.age).toBe(43);
+		modify.dispose();
+	});
+
+	it("applies global middleware to ModifyModel", () => {
+		let modify = new ModifyModel(model);
+		removeGlobal = Model.use(() => null);
+		modify.set({ age: 43 });
+		expect(modify.age).toBe(42);
+		modify.dispose();
+	});
+
+	it("applies to ModelWrapper.set before setting the underlying model", () => {
+		let wrapper = new ModelWrapper(model);
+		let calls = [];
+		wrapper.use((props, ctx, next) => {
+			calls.push(ctx.model === wrapper ? 'wrapper' : 'other');
+			return next();
+		});
+		model.use((props, ctx, next) => {
+			calls.push(ctx.model === model ? 'model' : 'other');
+			return next();
+		});
+		return wrapper.set({ age: 43 }).then(() => {
+			expect(calls).toEqual([ 'wrapper', 'model' ]);
+			expect(model.age).toBe(43);
+			jest.runAllTimers();
+			expect(wrapper.age).toBe(43);
+			wrapper.dispose();
+		});
+	});
+	it("calls global middleware once on ModelWrapper.set of a wrapped model", () => {
+		let wrapper = new ModelWrapper(model);
+		let calls = [];
+		removeGlobal = Model.use((props, ctx, next) => {
+			calls.push(ctx.model === model ? 'model' : 'other');
+			return next();
+		});
+		wrapper.use((props, ctx, next) => {
+			calls.push(ctx.model === wrapper ? 'wrapper' : 'other');
+			return next();
+		});
+		return wrapper.set({ age: 43 }).then(() => {
+			expect(calls).toEqual([ 'wrapper', 'model' ]);
+			expect(model.age).toBe(43);
+			wrapper.dispose();
+		});
+	});
+
+	it("calls global middleware on ModelWrapper.set of a wrapped plain object", () => {
+		let o = { age: 42, set: jest.fn(() => Promise.resolve(null)) };
+		let wrapper = new ModelWrapper(o);
+		let mw = jest.fn((props, ctx, next) => next());
+		removeGlobal = Model.use(mw);
+		return wrapper.set({ age: 43 }).then(() => {
+			expect(mw).toHaveBeenCalledTimes(1);
+			expect(mw.mock.calls[0][1].model).toBe(wrapper);
+			expect(o.set).toHaveBeenCalledWith({ age: 43 }, undefined);
+			wrapper.dispose();
+		});
+	});
+
+	it("does not apply any middleware to an internal model", () => {
+		let internal = new Model({ internal: true });
+		let mw = jest.fn(() => null);
+		removeGlobal = Model.use(mw);
+		internal.use(mw);
+		internal.set({ 'address.city': true });
+		expect(mw).not.toHaveBeenCalled();
+		expect(internal.props).toEqual({ 'address.city': true });
+	});
+
+	it("does not apply global middleware to the internal models of ModifyModel", () => {
+		let modify = new ModifyModel(model);
+		let mw = jest.fn((props, ctx, next) => next());
+		removeGlobal = Model.use(mw);
+		modify.setErrors({ name: "Taken." });
+		modify.set({ age: 43 });
+		modify.set({ name: 'John' });
+		expect(modify.errors.props).toEqual({});
+		expect(mw.mock.calls.map(c => [ c[0], c[1].model ])).toEqual([
+			[{ age: 43 }, modify ],
+			[{ name: 'John' }, modify ]
+		]);
+		modify.dispose();
+	});
+
+	it("does not apply global middleware to the touched and focused models of FormModel", () => {
+		let form = new FormModel(model);
+		removeGlobal = Model.use(() => null);
+		form.focus('name');
+		form.blur('name');
+		form.blur('address.city');
+		expect(form.focused.props).toEqual({});
+		expect(form.touched.props).toEqual({ name: true, 'address.city': true });
+		form.dispose();
+	});
+});
@@ -0,0 +1,79 @@
+import { addPathChanges, pathChanges } from './utils';
+
+let depth = 0;
+let queue = null;
+
+/**
+ * Calls a function, holding back any change events from models until the
+ * outermost transaction ends. Each model will then emit a single change event
+ * with the merged changes, containing the values the properties had before
+ * the transaction. Properties set back to their original value are left out.
+ *
+ * The function is called synchronously. Any changes made asynchronously are
+ * not included in the transaction.
+ * @param {function} fn Function to call.
+ * @returns {*} Return value of fn.
+ */
+export function transaction(fn) {
+	depth++;
+	try {
+		return fn();
+	} finally {
+		depth--;
+		if (!depth) {
+			flush();
+		}
+	}
+}
+
+/**
+ * Emits a change, or queues it if a transaction is in progress.
+ * @param {object} target Model emitting the change.
+ * @param {object} props Properties object of the model, used to leave out properties set back to their original value.
+ * @param {object} changed Key/value object with the changed properties and their old values.
+ * @param {function} emit Callback emitting the change: function(changed)
+ * @private
+ */
+export function emitChange(target, props, changed, emit) {
+	if (!depth) {
+		emit(changed);
+		return;
+	}
+
+	queue = queue || new Map();
+	let q = queue.get(target);
+	if (!q) {
+		queue.set(target, { props, changed: addPathChanges(Object.assign({}, changed), pathChanges(changed), props), emit });
+		return;
+	}
+
+	q.props = props;
+	q.emit = emit;
+	for (let k in changed) {
+		if (!q.changed.hasOwnProperty(k)) {
+			q.changed[k] = changed[k];
+		}
+	}
+	addPathChanges(q.changed, pathChanges(changed), props);
+}
+
+function flush() {
+	let q = queue;
+	queue = null;
+	if (!q) {
+		return;
+	}
+
+	for (let { props, changed, emit } of q.values()) {
+		let c = null;
+		for (let k in changed) {
+			if (props[k] !== changed[k]) {
+				c = c || {};
+				c[k] = changed[k];
+			}
+		}
+		if (c) {
+			emit(addPathChanges(c, pathChanges(changed), props));
+		}
+	}
+}
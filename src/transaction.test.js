@@ -0,0 +1,155 @@
+import Model from './Model';
+import ModifyModel from './ModifyModel';
+import ModelWrapper from './ModelWrapper';
+import { transaction } from './transaction';
+import eventBus from 'modapp-eventbus';
+
+describe("transaction", () => {
+	let model;
+	let other;
+	let changes;
+	let listeners;
+
+	jest.useFakeTimers();
+
+	function listen(m) {
+		let cb = jest.fn(change => changes.push({ m, change: Object.assign({}, change) }));
+		m.on('change', cb);
+		listeners.push({ m, cb });
+	}
+
+	beforeEach(() => {
+		// Clear eventbus listeners
+		eventBus._evs = {};
+
+		model = new Model({ data: { id: 10, fruit: 'banana', color: 'yellow' }});
+		other = new Model({ data: { id: 20, fruit: 'pineapple' }});
+		changes = [];
+		listeners = [];
+	});
+
+	afterEach(() => {
+		for (let { m, cb } of listeners) {
+			m.off('change', cb);
+		}
+		// Validate we dont have any undisposed listeners
+		expect(Object.keys(eventBus._evs)).toEqual([]);
+	});
+
+	it("emits a single merged change event with original old values", () => {
+		listen(model);
+		model.batch(() => {
+			model.set({ fruit: 'apple' });
+			model.set({ fruit: 'orange', color: 'orange' });
+			model.set({ id: 30 });
+		});
+		jest.runAllTimers();
+		expect(changes.map(c => c.change)).toEqual([{ fruit: 'banana', color: 'yellow', id: 10 }]);
+		expect(model.fruit).toBe('orange');
+	});
+
+	it("applies changes immediately while holding back events", () => {
+		listen(model);
+		model.batch(() => {
+			model.set({ fruit: 'apple' });
+			expect(model.fruit).toBe('apple');
+			jest.runAllTimers();
+			expect(changes.length).toBe(0);
+		});
+		jest.runAllTimers();
+		expect(changes.length).toBe(1);
+	});
+
+	it("leaves out properties set back to their original value", () => {
+		listen(model);
+		model.batch(() => {
+			model.set({ fruit: 'apple', color: 'red' });
+			model.set({ fruit: 'banana' });
+		});
+		jest.runAllTimers();
+		expect(changes.map(c => c.change)).toEqual([{ color: 'yellow' }]);
+	});
+
+	it("emits no event if all properties are set back", () => {
+		listen(model);
+		model.batch(() => {
+			model.set({ fruit: 'apple', kiwi: true });
+			model.set({ fruit: 'banana', kiwi: undefined });
+		});
+		jest.runAllTimers();
+		expect(changes.length).toBe(0);
+	});
+
+	it("holds back events until the outermost transaction ends", () => {
+		listen(model);
+		listen(other);
+		transaction(() => {
+			model.batch(() => {
+				model.set({ fruit: 'apple' });
+				other.set({ fruit: 'kiwi' });
+			});
+			jest.runAllTimers();
+			expect(changes.length).toBe(0);
+			model.set({ color: 'red' });
+		});
+		jest.runAllTimers();
+		expect(changes).toEqual([
+			{ m: model, change: { fruit: 'banana', color: 'yellow' }},
+			{ m: other, change: { fruit: 'pineapple' }},
+		]);
+	});
+
+	it("returns the value returned by the function", () => {
+		expect(transaction(() => 42)).toBe(42);
+		expect(model.batch(() => 'foo')).toBe('foo');
+	});
+
+	it("emits changes when the function throws", () => {
+		listen(model);
+		expect(() => model.batch(() => {
+			model.set({ fruit: 'apple' });
+			throw new Error("Test");
+		})).toThrow("Test");
+		jest.runAllTimers();
+		expect(changes.map(c => c.change)).toEqual([{ fruit: 'banana' }]);
+		model.set({ fruit: 'kiwi' });
+		jest.runAllTimers();
+		expect(changes.length).toBe(2);
+	});
+
+	it("emits a single merged change event on ModifyModel", () => {
+		let modify = new ModifyModel(model);
+		listen(modify);
+		modify.batch(() => {
+			modify.set({ fruit: 'apple' });
+			modify.set({ color: 'red' });
+		});
+		jest.runAllTimers();
+		expect(changes.map(c => c.change)).toEqual([{ fruit: 'banana', color: 'yellow', isModified: false }]);
+		modify.dispose();
+	});
+
+	it("leaves out isModified on ModifyModel set back to original", () => {
+		let modify = new ModifyModel(model);
+		listen(modify);
+		modify.batch(() => {
+			modify.set({ fruit: 'apple' });
+			modify.set({ fruit: 'banana' });
+		});
+		jest.runAllTimers();
+		expect(changes.length).toBe(0);
+		modify.dispose();
+	});
+
+	it("emits a single change event on ModelWrapper for a batch on the underlying model", () => {
+		let wrapper = new ModelWrapper(model);
+		listen(wrapper);
+		wrapper.batch(() => {
+			wrapper.set({ fruit: 'apple' });
+			wrapper.set({ color: 'red' });
+		});
+		jest.runAllTimers();
+		expect(changes.map(c => c.change)).toEqual([{ fruit: 'banana', color: 'yellow' }]);
+		wrapper.dispose();
+	});
+});
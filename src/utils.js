@@ -1,3 +1,6 @@
+import { observed } from './autorun';
+import RankTree from './RankTree';
+
 /**
  * Get the props object of a model, or a clone of the model with own properties
  * not prefixed with underscore.
@@ -20,6 +23,181 @@ export function getProps(m) {
 	return props;
 }
 
+/**
+ * Promotes a property to the model instance, as an accessor returning the
+ * value from the props object. Reading the property is registered with any
+ * tracking autorun. Assigning the property replaces the accessor with a
+ * plain value on the instance, leaving the props object untouched, until
+ * the property is next updated.
+ * @param {object} model Model instance.
+ * @param {object} props Model props object.
+ * @param {string} key Property key.
+ */
+export function promoteProperty(model, props, key) {
+	let d = Object.getOwnPropertyDescriptor(model, key);
+	if (!d || !d.get) {
+		Object.defineProperty(model, key, {
+			get: () => {
+				observed(model, 'change');
+				return props[key];
+			},
+			set: v => {
+				Object.defineProperty(model, key, { value: v, writable: true, enumerable: true, configurable: true });
+			},
+			enumerable: true,
+			configurable: true
+		});
+	}
+}
+
+/**
+ * Gets a nested value.
+ * @param {*} o Object or array.
+ * @param {Array.<string>} keys Path keys.
+ * @param {number} [i] Index of the first path key to use. Defaults to 0.
+ * @returns {*} Value at the path, or undefined if the path doesn't exist.
+ */
+export function getPath(o, keys, i = 0) {
+	for (; i < keys.length; i++) {
+		if (!o || typeof o != 'object') {
+			return undefined;
+		}
+		o = o[keys[i]];
+	}
+	return o;
+}
+
+/**
+ * Sets a nested value by making a structural copy of each object or array
+ * along the path. A value of undefined deletes the property.
+ * @param {*} o Object or array.
+ * @param {Array.<string>} keys Path keys.
+ * @param {number} i Index of the first path key to use.
+ * @param {*} v Value to set.
+ * @returns {*} Copy of o with the value set, or o itself if the value is unchanged.
+ */
+export function setPath(o, keys, i, v) {
+	if (i >= keys.length) {
+		return v;
+	}
+	let isObj = o && typeof o == 'object';
+	let k = keys[i];
+	let ov = isObj ? o[k] : undefined;
+	let nv = setPath(ov, keys, i + 1, v);
+	if (isObj && nv === ov && (nv !== undefined || !o.hasOwnProperty(k))) {
+		return o;
+	}
+	let c = Array.isArray(o) ? o.slice() : Object.assign({}, isObj ? o : null);
+	if (nv === undefined) {
+		delete c[k];
+	} else {
+		c[k] = nv;
+	}
+	return c;
+}
+
+/**
+ * Replaces any dot-separated path keys, such as 'address.city', with the
+ * top-level key set to a structural copy of its value with the nested value
+ * set.
+ * @param {object} props Properties to set.
+ * @param {object} current Current properties.
+ * @returns {object} Properties without path keys, or props itself if there are no path keys.
+ */
+export function expandPaths(props, current) {
+	let o = null;
+	for (let k in props) {
+		if (k.indexOf('.') >= 0) {
+			o = {};
+			break;
+		}
+	}
+	if (!o) {
+		return props;
+	}
+
+	for (let k in props) {
+		let keys = k.split('.');
+		let key = keys[0];
+		o[key] = keys.length > 1
+			? setPath(o.hasOwnProperty(key) ? o[key] : current[key], keys, 1, props[k])
+			: props[k];
+	}
+	return o;
+}
+
+/**
+ * Gets the current values at the paths of any dot-separated path keys.
+ * @param {object} props Properties to set.
+ * @param {object} current Current properties.
+ * @returns {?object} Values with the path key as key, or null if there are no path keys.
+ */
+export function pathValues(props, current) {
+	let o = null;
+	for (let k in props) {
+		if (k.indexOf('.') >= 0) {
+			o = o || {};
+			o[k] = getPath(current, k.split('.'));
+		}
+	}
+	return o;
+}
+
+/**
+ * Adds the old values of changed paths to a change object. They are added
+ * as non-enumerable properties, so that iterating the change object still
+ * only gives the changed top-level properties.
+ * @param {object} changed Key/value object with the changed properties and their old values.
+ * @param {?object} paths Old values with the path key as key.
+ * @param {object} props Properties object holding the new values.
+ * @returns {object} The changed object.
+ */
+export function addPathChanges(changed, paths, props) {
+	for (let k in paths) {
+		if (!changed.hasOwnProperty(k) && getPath(props, k.split('.')) !== paths[k]) {
+			Object.defineProperty(changed, k, { value: paths[k], writable: true, configurable: true });
+		}
+	}
+	return changed;
+}
+
+/**
+ * Gets the changed paths added to a change object by addPathChanges.
+ * @param {object} changed Key/value object with the changed properties and their old values.
+ * @returns {?object} Old values with the path key as key, or null if there are no changed paths.
+ */
+export function pathChanges(changed) {
+	let o = null;
+	for (let k of Object.getOwnPropertyNames(changed)) {
+		if (!changed.propertyIsEnumerable(k)) {
+			o = o || {};
+			o[k] = changed[k];
+		}
+	}
+	return o;
+}
+
+/**
+ * Creates a change record from a change object, holding both the old and the
+ * new value of each changed property.
+ * @param {object} changed Key/value object with the changed properties and their old values.
+ * @param {object} props Properties object holding the new values.
+ * @returns {object.<string, Model~changeRecord>} Change records with the property key as key.
+ */
+export function changeRecord(changed, props) {
+	let r = {};
+	for (let k in changed) {
+		let ov = changed[k];
+		let nv = props[k];
+		r[k] = {
+			type: ov === undefined ? 'add' : nv === undefined ? 'delete' : 'update',
+			old: ov,
+			new: nv
+		};
+	}
+	return r;
+}
+
 /**
  * Ensures the value is an array.
  * @param {*} a Array, null, iterable, or object with a toArray function.
@@ -39,15 +217,26 @@ export function toArray(a) {
 	return Array.from(a);
 }
 
+// Largest LCS matrix, in number of cells, before patchDiff falls back to
+// matching items by identity.
+const maxMatrixSize = 250000;
+
 /**
  * Performs a LCS matric calculation
  * https://en.wikipedia.org/wiki/Longest_common_subsequence_problem
+ *
+ * If the differing parts of the arrays are too large for the matrix, the
+ * items are instead matched by identity, keeping the longest increasing
+ * sequence of matched items. For arrays without duplicates, this gives the
+ * same number of adds and removes. If onMove is given, any other matched
+ * item is then moved rather than removed and added.
  * @param {Array} a Before array.
  * @param {Array} b After array.
  * @param {function} onAdd Called on add.
  * @param {function} onRemove  Called on remove.
+ * @param {function} [onMove] Called on move, when items are matched by identity: function(item, from, to)
  */
-export function patchDiff(a, b, onAdd, onRemove) {
+export function patchDiff(a, b, onAdd, onRemove, onMove) {
 	let t, i, j, s = 0, aa, bb, m = a.length, n = b.length;
 
 	// Trim of matches at the start and end
@@ -75,6 +264,11 @@ export function patchDiff(a, b, onAdd, onRemove) {
 		bb = b;
 	}
 
+	if (m * n > maxMatrixSize) {
+		patchMatched(aa, bb, s, onAdd, onRemove, onMove);
+		return;
+	}
+
 	// Create matrix and initialize it
 	let c = new Array(m + 1);
 	for (i = 0; i <= m; i++) {
@@ -125,3 +319,98 @@ export function patchDiff(a, b, onAdd, onRemove) {
 		onAdd(bb[n], n + s, idx - r + j + len - i);
 	}
 }
+
+// Patches by matching each item of a with the first unmatched equal item of
+// b, keeping the longest sequence of matched items in increasing order of b.
+// Uses O(n log n) time and O(n) memory. Indices are offset by s.
+function patchMatched(a, b, s, onAdd, onRemove, onMove) {
+	let i, j, lo, hi, mid;
+	let pos = new Map();
+	for (j = 0; j < b.length; j++) {
+		let p = pos.get(b[j]);
+		if (p) {
+			p.list.push(j);
+		} else {
+			pos.set(b[j], { list: [ j ], next: 0 });
+		}
+	}
+	let match = new Array(a.length);
+	let matchedB = new Array(b.length).fill(false);
+	for (i = 0; i < a.length; i++) {
+		let p = pos.get(a[i]);
+		match[i] = p && p.next < p.list.length ? p.list[p.next++] : -1;
+		if (match[i] >= 0) {
+			matchedB[match[i]] = true;
+		}
+	}
+
+	// Find the longest increasing sequence of matches
+	let tails = [];
+	let prev = new Array(a.length);
+	for (i = 0; i < a.length; i++) {
+		if (match[i] < 0) {
+			continue;
+		}
+		lo = 0;
+		hi = tails.length;
+		while (lo < hi) {
+			mid = (lo + hi) >> 1;
+			if (match[tails[mid]] < match[i]) {
+				lo = mid + 1;
+			} else {
+				hi = mid;
+			}
+		}
+		prev[i] = lo > 0 ? tails[lo - 1] : -1;
+		tails[lo] = i;
+	}
+	let keepA = new Array(a.length).fill(false);
+	let keepB = new Array(b.length).fill(false);
+	for (i = tails.length ? tails[tails.length - 1] : -1; i >= 0; i = prev[i]) {
+		keepA[i] = true;
+		keepB[match[i]] = true;
+	}
+
+	for (i = a.length - 1; i >= 0; i--) {
+		if (onMove ? match[i] < 0 : !keepA[i]) {
+			onRemove(a[i], i + s, i + s);
+		}
+	}
+
+	if (onMove) {
+		// Move each matched item out of order to right after the matched item
+		// preceding it in b, in order of b.
+		let tree = new RankTree();
+		let nodes = new Array(b.length);
+		let list = [];
+		for (i = 0; i < a.length; i++) {
+			if (match[i] >= 0) {
+				list.push(nodes[match[i]] = RankTree.node(a[i]));
+			}
+		}
+		tree.build(list);
+		let last = null;
+		for (j = 0; j < b.length; j++) {
+			let node = nodes[j];
+			if (!node) {
+				continue;
+			}
+			if (!keepB[j]) {
+				let from = tree.indexOf(node);
+				tree.remove(node);
+				let to = last ? tree.indexOf(last) + 1 : 0;
+				tree.insertAt(node, to);
+				if (from !== to) {
+					onMove(b[j], from + s, to + s);
+				}
+			}
+			last = node;
+		}
+	}
+
+	for (j = 0; j < b.length; j++) {
+		if (onMove ? !matchedB[j] : !keepB[j]) {
+			onAdd(b[j], j + s, j + s);
+		}
+	}
+}
@@ -0,0 +1,139 @@
+import { obj } from 'modapp-utils';
+
+/**
+ * Property definition with validators, extending the definition used by
+ * modapp-utils' obj.update.
+ * @typedef {object} validation~PropertyDefinition
+ * @property {string} type Type of the property, such as 'string', '?number', or 'boolean'.
+ * @property {boolean} [required] Flag telling if the value may not be undefined, null, or an empty string.
+ * @property {number} [min] Minimum value of a number, or minimum length of a string or array.
+ * @property {number} [max] Maximum value of a number, or maximum length of a string or array.
+ * @property {RegExp} [pattern] Pattern a string value must match.
+ * @property {Array.<*>} [enum] Allowed values.
+ * @property {function} [validate] Custom validator: function(value, props) -> ?string. Returns an error message, or a promise of an error message, if the value is invalid.
+ * @property {object.<string, string>} [messages] Error messages replacing the default ones, with the validator name, such as 'required' or 'min', as key.
+ */
+
+/**
+ * ValidationError is the error used when one or more properties are invalid.
+ */
+export class ValidationError extends Error {
+
+	/**
+	 * Creates a ValidationError instance.
+	 * @param {object.<string, string>} errors Error messages, with the invalid property as key.
+	 */
+	constructor(errors) {
+		super("Invalid properties: " + Object.keys(errors).join(", "));
+		this.name = 'ValidationError';
+		this.errors = errors;
+	}
+}
+
+function isEmpty(v) {
+	return v === undefined || v === null || v === '';
+}
+
+function isPromise(v) {
+	return !!v && typeof v.then == 'function';
+}
+
+function message(d, name, msg) {
+	return d.messages && d.messages.hasOwnProperty(name) ? d.messages[name] : msg;
+}
+
+function size(v) {
+	return typeof v == 'number' ? v : v.length;
+}
+
+/**
+ * Validates a single property value.
+ * @param {string|validation~PropertyDefinition} d Property definition.
+ * @param {*} v Value.
+ * @param {object} props Properties, including the value, passed to custom validators.
+ * @returns {?string|Promise.<?string>} Error message, or null if the value is valid. A promise if the custom validator returned a promise.
+ */
+function validateValue(d, v, props) {
+	if (typeof d == 'string') {
+		d = { type: d };
+	}
+	if (isEmpty(v)) {
+		if (d.required) {
+			return message(d, 'required', "Required.");
+		}
+		if (v === undefined) {
+			return null;
+		}
+	}
+
+	// Assert type, filter, and definition assertion, getting the converted value
+	let o = {};
+	try {
+		obj.update(o, { v }, { v: d });
+	} catch (ex) {
+		return ex.message;
+	}
+	v = o.v;
+
+	if (!isEmpty(v)) {
+		if (d.hasOwnProperty('min') && size(v) < d.min) {
+			return message(d, 'min', typeof v == 'number'
+				? "Must be at least " + d.min + "."
+				: "Must have a length of at least " + d.min + ".");
+		}
+		if (d.hasOwnProperty('max') && size(v) > d.max) {
+			return message(d, 'max', typeof v == 'number'
+				? "Must be at most " + d.max + "."
+				: "Must have a length of at most " + d.max + ".");
+		}
+		if (d.pattern && !d.pattern.test(String(v))) {
+			return message(d, 'pattern', "Invalid format.");
+		}
+		if (d.enum && d.enum.indexOf(v) === -1) {
+			return message(d, 'enum', "Must be one of: " + d.enum.join(", ") + ".");
+		}
+	}
+	if (d.validate) {
+		let r = d.validate(v, props);
+		return isPromise(r) ? r.then(m => m || null) : r || null;
+	}
+	return null;
+}
+
+/**
+ * Validates properties against a definition.
+ * @param {object.<string, string|validation~PropertyDefinition>} definition Object definition.
+ * @param {object} props Properties to validate.
+ * @param {object} [current] Current properties, used for properties missing in props.
+ * @param {boolean} [all] Flag telling if all defined properties should be validated, and not only those in props.
+ * @returns {?object|Promise.<?object>} Error messages with the invalid property as key, or null if all properties are valid. A promise if any custom validator returned a promise.
+ */
+export function validate(definition, props, current, all) {
+	let merged = Object.assign({}, current, props);
+	let errors = null;
+	let promises = [];
+	for (let k in definition) {
+		if (!all && !props.hasOwnProperty(k)) {
+			continue;
+		}
+		let r = validateValue(definition[k], merged[k], merged);
+		if (isPromise(r)) {
+			promises.push(r.then(m => [ k, m ]));
+		} else if (r) {
+			errors = errors || {};
+			errors[k] = r;
+		}
+	}
+	if (!promises.length) {
+		return errors;
+	}
+	return Promise.all(promises).then(result => {
+		for (let [ k, m ] of result) {
+			if (m) {
+				errors = errors || {};
+				errors[k] = m;
+			}
+		}
+		return errors;
+	});
+}
@@ -0,0 +1,84 @@
+import { validate, ValidationError } from './validation';
+
+describe("validate", () => {
+	let definition = {
+		name: { type: 'string', required: true, min: 2, max: 10 },
+		age: { type: '?number', min: 0, max: 150 },
+		zip: { type: '?string', pattern: /^\d{4}$/ },
+		color: { type: 'string', enum: [ 'red', 'green' ] },
+		nick: { type: 'string', validate: (v, props) => v === props.name ? "Same as name." : null }
+	};
+
+	it("returns null for valid properties", () => {
+		expect(validate(definition, { name: 'Jane', age: 42, zip: '5003', color: 'red', nick: 'J' })).toBe(null);
+	});
+
+	it("validates only the given properties by default", () => {
+		expect(validate(definition, { age: 42 })).toBe(null);
+	});
+
+	it("validates all properties using the current properties", () => {
+		expect(validate(definition, { age: 42 }, { color: 'red' }, true)).toEqual({ name: "Required." });
+	});
+
+	it("reports required properties", () => {
+		expect(validate(definition, { name: '' })).toEqual({ name: "Required." });
+		expect(validate(definition, { name: null })).toEqual({ name: "Required." });
+	});
+
+	it("reports type errors", () => {
+		expect(validate(definition, { age: true })).toEqual({ age: "Not a number or null" });
+	});
+
+	it("reports min and max for numbers", () => {
+		expect(validate(definition, { age: -1 })).toEqual({ age: "Must be at least 0." });
+		expect(validate(definition, { age: 151 })).toEqual({ age: "Must be at most 150." });
+	});
+
+	it("reports min and max length for strings", () => {
+		expect(validate(definition, { name: 'J' })).toEqual({ name: "Must have a length of at least 2." });
+		expect(validate(definition, { name: 'Jane Johnson' })).toEqual({ name: "Must have a length of at most 10." });
+	});
+
+	it("reports pattern mismatch", () => {
+		expect(validate(definition, { zip: '123' })).toEqual({ zip: "Invalid format." });
+	});
+
+	it("allows null for non-required properties", () => {
+		expect(validate(definition, { zip: null, age: null })).toBe(null);
+	});
+
+	it("reports values not in enum", () => {
+		expect(validate(definition, { color: 'blue' })).toEqual({ color: "Must be one of: red, green." });
+	});
+
+	it("calls custom validators with the merged properties", () => {
+		expect(validate(definition, { nick: 'Jane' }, { name: 'Jane' })).toEqual({ nick: "Same as name." });
+	});
+
+	it("uses custom messages", () => {
+		let def = { age: { type: 'number', min: 18, messages: { min: "Too young." }}};
+		expect(validate(def, { age: 17 })).toEqual({ age: "Too young." });
+	});
+
+	it("returns a promise for async validators", () => {
+		let def = {
+			name: { type: 'string', validate: v => Promise.resolve(v == 'taken' ? "Not available." : null) },
+			age: { type: 'number', min: 0 }
+		};
+		let result = validate(def, { name: 'taken', age: -1 });
+		expect(typeof result.then).toBe('function');
+		return expect(result).resolves.toEqual({ name: "Not available.", age: "Must be at least 0." });
+	});
+});
+
+describe("ValidationError", () => {
+	it("lists the errors", () => {
+		let err = new ValidationError({ name: "Required.", age: "Must be at least 0." });
+		expect(err).toBeInstanceOf(Error);
+		expect(err).toBeInstanceOf(ValidationError);
+		expect(err.name).toBe('ValidationError');
+		expect(err.errors).toEqual({ name: "Required.", age: "Must be at least 0." });
+		expect(err.message).toBe("Invalid properties: name, age");
+	});
+});